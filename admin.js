@@ -1,8 +1,25 @@
 import { attemptLogin, checkAdminAuth, logout, isAdmin } from "./auth.js";
-import { db, doc, setDoc, getDoc, onSnapshot, collection, getDocs, query, where } from "./firebase.js";
+import { db, doc, setDoc, getDoc, onSnapshot, collection, getDocs, query, where, createBackup } from "./firebase.js";
 import { CAMPUS_ID } from "./config.js";
-import { Schedule } from "./scheduler.js";
-import { showToast } from "./ui.js";
+import {
+  Schedule,
+  validateSchedule,
+  scoreScheduleDays,
+  findReplacements,
+  checkReassignments,
+  getMentorTargets,
+  getPayPeriod,
+  getOvertimeCap,
+  DEFAULT_PAY_PERIOD_POLICY,
+  DEFAULT_OVERTIME_CAPS,
+  DEFAULT_SCHEDULING_RULES,
+  SATURDAY_ROTATION_SHIFTS,
+  FINDING_SEVERITIES,
+  MAX_TIME_BUDGET_MS,
+  getShiftType,
+  formatDateKey,
+} from "./scheduler.js";
+import { showToast, describePartialAvailability } from "./ui.js";
 
 // Configuration data
 // Compute national holidays for a given year and return an object mapping
@@ -79,9 +96,52 @@ const SEASONAL_SHIFT_INFO = {
   },
 };
 
+// Qualifications a mentor can hold (key -> display label)
+const QUALIFICATIONS = {
+  meds: "Meds certified",
+  driver: "Driver",
+};
+
+// Shift types that can require qualifications
+const SHIFT_TYPES = {
+  a_shift: "A shift (dinner)",
+  b_shift: "B shift (meds)",
+  c_shift: "C shift (errands)",
+  holiday_a_shift: "Holiday A shift",
+  holiday_b_shift: "Holiday B shift",
+};
+
+// Shift types mentors can prefer, avoid or cap (holiday shifts count as the regular shift)
+const MENTOR_SHIFT_TYPES = {
+  a_shift: "A",
+  b_shift: "B",
+  c_shift: "C",
+};
+
+// When each shift ends (24-hour), checked against partial days off from the calendar.
+// Matches the shift times shown in the schedule header.
+const SHIFT_END_TIMES = {
+  Sunday: { a_shift: "22:00", b_shift: "22:00" },
+  Monday: { a_shift: "22:00", b_shift: "22:00", c_shift: "20:00" },
+  Tuesday: { a_shift: "22:00", b_shift: "22:00", c_shift: "20:00" },
+  Wednesday: { a_shift: "22:00", b_shift: "22:00" },
+  Thursday: { a_shift: "22:00", b_shift: "22:00", c_shift: "20:00" },
+  Friday: { a_shift: "24:00", b_shift: "24:00", c_shift: "20:00" },
+  Saturday: { a_shift: "24:00", b_shift: "24:00", c_shift: "17:00" },
+};
+
 let mentorInfoData = {};
 let timeOffData = {};
+let partialTimeOffData = {}; // { day: { mentorName: { until: "HH:MM" } or { short_only: true } } }
 let currentSchedule = null;
+let scheduleCandidates = []; // [{ schedule, score }] from the last multi-candidate run, best first
+let generatingSchedule = false; // True while generateSchedule is running, so a second click is turned away
+let swapRequests = []; // Every swap request for this campus, from swapRequests
+let callOut = null; // { day, shift, mentor, candidates } of the call-out being covered
+let whatIfPreview = null; // { mentorName, days, freedCells, schedule, timeOff } for the time-off request being previewed
+let payPeriodPolicy = { ...DEFAULT_PAY_PERIOD_POLICY };
+let schedulingRules = { ...DEFAULT_SCHEDULING_RULES };
+let shiftQualifications = {};
 
 // Initialize on load
 window.addEventListener("DOMContentLoaded", async () => {
@@ -140,9 +200,13 @@ async function loadData() {
     const timeOffDoc = await getDoc(doc(db, "timeOff", CAMPUS_ID));
     if (timeOffDoc.exists()) {
       timeOffData = timeOffDoc.data().mentors || {};
+      partialTimeOffData = timeOffDoc.data().partial || {};
     }
 
+    populateQualificationCheckboxes();
+    populateShiftTypePreferences();
     populateMentorSelect();
+    populatePairingOptions("new");
 
     // Load calendar config
     const configDoc = await getDoc(doc(db, "calendarConfig", CAMPUS_ID));
@@ -162,6 +226,10 @@ async function loadData() {
       // Default schedule generation to calendar month/year
       document.getElementById("schedule-year").value = calendarYear;
       document.getElementById("schedule-month").value = calendarMonth + 1; // Display months are 1-indexed
+
+      payPeriodPolicy = { ...DEFAULT_PAY_PERIOD_POLICY, ...(config?.payPeriodPolicy || {}) };
+      schedulingRules = { ...DEFAULT_SCHEDULING_RULES, ...(config?.schedulingRules || {}) };
+      shiftQualifications = config?.shiftQualifications || {};
     } else {
       document.getElementById("slots-available").value = 3;
       document.getElementById("calendar-month").value = 0;
@@ -170,10 +238,14 @@ async function loadData() {
       document.getElementById("schedule-month").value = 1;
     }
 
+    populatePayPeriodPolicyForm();
+    populateSchedulingRulesForm();
+    populateShiftQualificationsForm();
     updateHolidays();
 
     // Load list of all saved schedules
     await loadSavedSchedulesList();
+    await loadSwapRequests();
   } catch (error) {
     console.error("Error loading data:", error);
     showToast("Error loading data");
@@ -197,15 +269,13 @@ async function loadSavedSchedulesList() {
         id: doc.id,
         month: data.month,
         year: data.year,
+        range: data.range || null,
         generatedAt: data.generatedAt
       });
     });
     
-    // Sort by year and month (newest first)
-    schedules.sort((a, b) => {
-      if (b.year !== a.year) return b.year - a.year;
-      return b.month - a.month;
-    });
+    // Sort by first date (newest first)
+    schedules.sort((a, b) => getScheduleBounds(b).start - getScheduleBounds(a).start);
     
     displaySavedSchedulesList(schedules);
     
@@ -233,8 +303,8 @@ function displaySavedSchedulesList(schedules) {
   
   const list = schedules.map(schedule => `
     <div class=\"saved-schedule-item\" onclick=\"loadScheduleById('${schedule.id}')\">
-      <div class=\"schedule-name\">${monthNames[schedule.month - 1]}</div>
-      <div class=\"schedule-date\">${schedule.year}</div>
+      <div class=\"schedule-name\">${schedule.range ? getScheduleName(schedule) : monthNames[schedule.month - 1]}</div>
+      <div class=\"schedule-date\">${schedule.range ? "Custom range" : schedule.year}</div>
     </div>
   `).join('');
   
@@ -278,8 +348,17 @@ window.loadScheduleById = async function(scheduleId, silent = false) {
       id: scheduleId,
       year: savedData.year,
       month: savedData.month,
+      range: savedData.range || null,
       schedule: schedule,
-      validationMessages: savedData.validationMessages || []
+      seed: savedData.seed ?? null,
+      solver: savedData.solver || "greedy",
+      payPeriodPolicy: savedData.payPeriodPolicy || null,
+      schedulingRules: savedData.schedulingRules || null,
+      lockedShifts: savedData.lockedShifts || [],
+      callOuts: savedData.callOuts || [],
+      timeOff: savedData.timeOff || null, // Schedules saved before time off was kept with them have none
+      validationMessages: savedData.validationMessages || [],
+      findings: savedData.findings || null // Schedules saved before findings existed have none
     };
     
     // Only switch tabs and show toast if not silent
@@ -288,8 +367,9 @@ window.loadScheduleById = async function(scheduleId, silent = false) {
       showToast('Schedule loaded successfully');
     }
     
-    // Always display the schedule
+    // Always display the schedule, then re-check it against the current mentor info and rules
     displaySchedule();
+    await revalidateCurrentSchedule();
   } catch (error) {
     console.error('Error loading schedule:', error);
     if (!silent) showToast('Error loading schedule');
@@ -320,51 +400,129 @@ window.showTab = function (tabName, event) {
 };
 
 // Mentor Management Functions
+function populateQualificationCheckboxes() {
+  const container = document.getElementById("qualifications");
+  container.innerHTML = Object.entries(QUALIFICATIONS)
+    .map(([key, label]) => `<label><input type="checkbox" value="${key}" /> ${label}</label>`)
+    .join("");
+}
+
+// One row per shift type: prefer / neutral / avoid, and an optional monthly cap
+function populateShiftTypePreferences() {
+  const container = document.getElementById("shift-type-preferences");
+  container.innerHTML = Object.entries(MENTOR_SHIFT_TYPES)
+    .map(([shift, label]) => `
+      <div class="shift-type-row">
+        <span class="shift-type-name">${label}</span>
+        <select data-shift="${shift}">
+          <option value="neutral">Neutral</option>
+          <option value="prefer">Prefer</option>
+          <option value="avoid">Avoid</option>
+        </select>
+        <input type="number" data-shift="${shift}" min="0" max="31" placeholder="No monthly cap" />
+      </div>`)
+    .join("");
+}
+
+// Pairing options list every mentor except the one being edited
+function populatePairingOptions(mentorName) {
+  const others = Object.keys(mentorInfoData).filter((name) => name !== mentorName);
+  const mentor = mentorInfoData[mentorName] || {};
+  const neverWith = mentor.never_with || [];
+
+  document.getElementById("never-with").innerHTML = others.length
+    ? others
+        .map((name) => `<label><input type="checkbox" value="${escapeHtml(name)}"${neverWith.includes(name) ? " checked" : ""} /> ${escapeHtml(name)}</label>`)
+        .join("")
+    : "No other mentors";
+
+  const overlapSelect = document.getElementById("must-overlap-mentor");
+  overlapSelect.innerHTML =
+    '<option value="">Nobody</option>' +
+    others.map((name) => `<option value="${escapeHtml(name)}">${escapeHtml(name)}</option>`).join("");
+  overlapSelect.value = mentor.must_overlap?.mentor || "";
+  document.getElementById("must-overlap-times").value = mentor.must_overlap?.times || "";
+}
+
 function populateMentorSelect() {
   const select = document.getElementById("mentor-select");
   select.innerHTML = '<option value="new">+ Add New Mentor</option>';
+  const whatIfSelect = document.getElementById("whatif-mentor");
+  whatIfSelect.innerHTML = "";
 
   for (const name of Object.keys(mentorInfoData)) {
     const option = document.createElement("option");
     option.value = name;
     option.textContent = name;
     select.appendChild(option);
+    whatIfSelect.appendChild(option.cloneNode(true));
   }
 }
 
 window.loadMentorInfo = function () {
   const select = document.getElementById("mentor-select");
   const mentorName = select.value;
+  populatePairingOptions(mentorName);
 
   if (mentorName === "new") {
     // Clear form for new mentor
     document.getElementById("mentor-name").value = "";
+    document.getElementById("hours-min").value = "";
     document.getElementById("hours-wanted").value = "";
+    document.getElementById("hours-max").value = "";
+    document.getElementById("employment-start").value = "";
+    document.getElementById("employment-end").value = "";
     document.getElementById("hard-dates-display").textContent =
       "No dates selected";
-    document.getElementById("preferred-weekday").value = "";
+    document.getElementById("soft-dates").value = "";
+    document
+      .querySelectorAll("#preferred-weekdays select")
+      .forEach((sel) => (sel.value = ""));
+    document.getElementById("preferred-days-per-week").value = "";
     document.getElementById("auto-fill-calendar").checked = false;
 
     const checkboxes = document.querySelectorAll("#weekdays-unavailable input");
     checkboxes.forEach((cb) => (cb.checked = false));
 
+    document
+      .querySelectorAll("#qualifications input")
+      .forEach((cb) => (cb.checked = false));
+
+    document
+      .querySelectorAll("#shift-type-preferences select")
+      .forEach((sel) => (sel.value = "neutral"));
+    document
+      .querySelectorAll("#shift-type-preferences input")
+      .forEach((input) => (input.value = ""));
+
     document.getElementById("delete-btn").disabled = true;
   } else {
     const mentor = mentorInfoData[mentorName];
     document.getElementById("mentor-name").value = mentorName;
+    document.getElementById("hours-min").value = mentor.hours_min ?? "";
     document.getElementById("hours-wanted").value = mentor.hours_wanted || 0;
+    document.getElementById("hours-max").value = mentor.hours_max ?? "";
+    document.getElementById("employment-start").value = mentor.start_date || "";
+    document.getElementById("employment-end").value = mentor.end_date || "";
 
     // Display hard dates from time-off calendar
     const mentorTimeOffDates = getMentorTimeOffDates(mentorName);
+    const partialDays = Object.entries(getMentorPartialDates(mentorName)).map(
+      ([day, limit]) => `${day} (${describePartialAvailability(limit)})`
+    );
     document.getElementById("hard-dates-display").textContent =
-      mentorTimeOffDates.length > 0
-        ? mentorTimeOffDates.join(", ")
+      mentorTimeOffDates.length > 0 || partialDays.length > 0
+        ? [...mentorTimeOffDates, ...partialDays].join(", ")
         : "No dates selected";
 
-    document.getElementById("preferred-weekday").value =
-      mentor.preferred_weekdays && mentor.preferred_weekdays.length > 0
-        ? mentor.preferred_weekdays[0]
-        : "";
+    document.getElementById("soft-dates").value = (mentor.soft_dates || []).join(",");
+
+    const preferredWeekdays = mentor.preferred_weekdays || [];
+    document
+      .querySelectorAll("#preferred-weekdays select")
+      .forEach((sel, i) => (sel.value = preferredWeekdays[i] || ""));
+    document.getElementById("preferred-days-per-week").value =
+      mentor.preferred_days_per_week || "";
 
     document.getElementById("auto-fill-calendar").checked =
       mentor.auto_fill_calendar || false;
@@ -377,12 +535,38 @@ window.loadMentorInfo = function () {
       cb.checked = mentor.weekdays && mentor.weekdays.includes(cb.value);
     });
 
+    document.querySelectorAll("#qualifications input").forEach((cb) => {
+      cb.checked = (mentor.qualifications || []).includes(cb.value);
+    });
+
+    document.querySelectorAll("#shift-type-preferences select").forEach((sel) => {
+      sel.value = mentor.shift_preferences?.[sel.dataset.shift] || "neutral";
+    });
+    document.querySelectorAll("#shift-type-preferences input").forEach((input) => {
+      input.value = mentor.shift_caps?.[input.dataset.shift] ?? "";
+    });
+
     document.getElementById("delete-btn").disabled = false;
   }
 };
 
-function getMentorTimeOffDates(mentorName) {
-  const dates = [];
+// The date of a day on the employee calendar, which only holds time off for its own month
+function getCalendarDate(day) {
+  const calendarYear = parseInt(document.getElementById("calendar-year").value);
+  const calendarMonth = parseInt(document.getElementById("calendar-month").value);
+  return new Date(calendarYear, calendarMonth, day);
+}
+
+// Whether a date is in the month the employee calendar is open on
+function isOnCalendar(date) {
+  const calendarDate = getCalendarDate(1);
+  return date.getFullYear() === calendarDate.getFullYear() && date.getMonth() === calendarDate.getMonth();
+}
+
+// Days off from the calendar. For a schedule ({ year, month, range }) only the calendar days that fall in it
+// count, as days of the month, or as full dates for a custom range.
+function getMentorTimeOffDates(mentorName, period = null) {
+  let dates = [];
   
   // Get dates from calendar
   for (const [day, requests] of Object.entries(timeOffData)) {
@@ -391,12 +575,20 @@ function getMentorTimeOffDates(mentorName) {
     }
   }
   
+  if (period) {
+    const { start, end } = getScheduleBounds(period);
+    const inSchedule = dates.map(getCalendarDate).filter((date) => date >= start && date <= end);
+    // Unavailable weekdays are enforced by the scheduler itself
+    if (period.range) return inSchedule.map(formatDateKey).sort();
+    dates = inSchedule.map((date) => date.getDate());
+  }
+  
   // Also add dates based on unavailable weekdays from mentor profile
   const mentor = mentorInfoData[mentorName];
   if (mentor && mentor.weekdays && mentor.weekdays.length > 0) {
-    // Get the year and month from the schedule generation form
-    const year = parseInt(document.getElementById("schedule-year").value) || 2026;
-    const month = parseInt(document.getElementById("schedule-month").value) || 1;
+    // Get the year and month from the schedule, or else the schedule generation form
+    const year = period ? period.year : parseInt(document.getElementById("schedule-year").value) || 2026;
+    const month = period ? period.month : parseInt(document.getElementById("schedule-month").value) || 1;
     
     const weekdayMap = {
       "Sunday": 0,
@@ -429,6 +621,24 @@ function getMentorTimeOffDates(mentorName) {
   return dates;
 }
 
+// Partial days off from the calendar: { day: limit }. For a schedule only the calendar days that fall in it
+// count, keyed by day of the month, or by date for a custom range.
+function getMentorPartialDates(mentorName, period = null) {
+  const partialDates = {};
+  for (const [day, limits] of Object.entries(partialTimeOffData)) {
+    if (!limits || !limits[mentorName]) continue;
+    if (period) {
+      const { start, end } = getScheduleBounds(period);
+      const date = getCalendarDate(parseInt(day));
+      if (date < start || date > end) continue;
+      partialDates[period.range ? formatDateKey(date) : date.getDate()] = limits[mentorName];
+    } else {
+      partialDates[day] = limits[mentorName];
+    }
+  }
+  return partialDates;
+}
+
 window.saveMentorInfo = async function () {
   const name = document.getElementById("mentor-name").value.trim();
   if (!name) {
@@ -438,7 +648,31 @@ window.saveMentorInfo = async function () {
 
   const hoursWanted =
     parseInt(document.getElementById("hours-wanted").value) || 0;
-  const preferredWeekday = document.getElementById("preferred-weekday").value;
+  // Blank minimum/maximum means none
+  const hoursMinInput = parseInt(document.getElementById("hours-min").value);
+  const hoursMaxInput = parseInt(document.getElementById("hours-max").value);
+  const hoursMin = isNaN(hoursMinInput) ? null : hoursMinInput;
+  const hoursMax = isNaN(hoursMaxInput) ? null : hoursMaxInput;
+  if ((hoursMin !== null && hoursMin > hoursWanted) || (hoursMax !== null && hoursMax < hoursWanted)) {
+    showToast("Weekly hours must be minimum ≤ target ≤ maximum");
+    return;
+  }
+  // Employment dates are 'YYYY-MM-DD' (blank means none), so they compare as strings
+  const startDate = document.getElementById("employment-start").value || null;
+  const endDate = document.getElementById("employment-end").value || null;
+  if (startDate && endDate && startDate > endDate) {
+    showToast("Employment must start on or before it ends");
+    return;
+  }
+  // Ranked preferred weekdays, skipping blanks and duplicates
+  const preferredWeekdays = [];
+  document.querySelectorAll("#preferred-weekdays select").forEach((sel) => {
+    if (sel.value && !preferredWeekdays.includes(sel.value)) {
+      preferredWeekdays.push(sel.value);
+    }
+  });
+  const preferredDaysPerWeek =
+    parseInt(document.getElementById("preferred-days-per-week").value) || 0;
   const autoFillCalendar =
     document.getElementById("auto-fill-calendar").checked;
   const showOnCalendar =
@@ -450,20 +684,78 @@ window.saveMentorInfo = async function () {
   );
   checkboxes.forEach((cb) => weekdays.push(cb.value));
 
-  // Get hard dates from time-off calendar
+  const qualifications = [];
+  document
+    .querySelectorAll("#qualifications input:checked")
+    .forEach((cb) => qualifications.push(cb.value));
+
+  // Neutral is the default, so only preferences and caps that were set are stored
+  const shiftPreferences = {};
+  document.querySelectorAll("#shift-type-preferences select").forEach((sel) => {
+    if (sel.value !== "neutral") shiftPreferences[sel.dataset.shift] = sel.value;
+  });
+  const shiftCaps = {};
+  document.querySelectorAll("#shift-type-preferences input").forEach((input) => {
+    const cap = parseInt(input.value);
+    if (!isNaN(cap)) shiftCaps[input.dataset.shift] = cap;
+  });
+
+  const neverWith = [];
+  document
+    .querySelectorAll("#never-with input:checked")
+    .forEach((cb) => neverWith.push(cb.value));
+  const overlapMentor = document.getElementById("must-overlap-mentor").value;
+  const overlapTimes = parseInt(document.getElementById("must-overlap-times").value) || 0;
+  if (overlapMentor && overlapTimes < 1) {
+    showToast("Enter how many nights they must work together");
+    return;
+  }
+  if (overlapMentor && neverWith.includes(overlapMentor)) {
+    showToast(`${name} can't both avoid and overlap with ${overlapMentor}`);
+    return;
+  }
+  // "Never together" is saved both ways, so it also can't name someone who must overlap with this mentor
+  const overlapsWithThem = neverWith.find((otherName) => mentorInfoData[otherName]?.must_overlap?.mentor === name);
+  if (overlapsWithThem) {
+    showToast(`${overlapsWithThem} must overlap with ${name}, so they can't be kept apart`);
+    return;
+  }
+
+  // Get hard dates and partial days off from time-off calendar
   const hardDates = getMentorTimeOffDates(name);
+  const partialDates = getMentorPartialDates(name);
+  const softDates = parseHolidayDates(document.getElementById("soft-dates").value);
 
   mentorInfoData[name] = {
     weekdays: weekdays,
-    preferred_weekdays: preferredWeekday ? [preferredWeekday] : [],
+    preferred_weekdays: preferredWeekdays,
+    preferred_days_per_week: preferredDaysPerWeek || preferredWeekdays.length,
     weekday_behavior: ["Re"],
     hard_dates: hardDates,
+    partial_dates: partialDates,
     hours_wanted: hoursWanted,
-    soft_dates: [],
+    hours_min: hoursMin,
+    hours_max: hoursMax,
+    start_date: startDate,
+    end_date: endDate,
+    soft_dates: softDates,
+    qualifications: qualifications,
+    shift_preferences: shiftPreferences,
+    shift_caps: shiftCaps,
+    never_with: neverWith,
+    must_overlap: overlapMentor ? { mentor: overlapMentor, times: overlapTimes } : null,
     auto_fill_calendar: autoFillCalendar,
     show_on_calendar: showOnCalendar,
   };
 
+  // "Never together" works both ways, so keep the other mentors' lists in step
+  for (const [otherName, info] of Object.entries(mentorInfoData)) {
+    if (otherName === name) continue;
+    const otherNeverWith = (info.never_with || []).filter((n) => n !== name);
+    if (neverWith.includes(otherName)) otherNeverWith.push(name);
+    info.never_with = otherNeverWith;
+  }
+
   try {
     await setDoc(doc(db, "mentorInfo", CAMPUS_ID), { mentors: mentorInfoData });
     showToast("Mentor information saved successfully");
@@ -494,6 +786,12 @@ window.deleteMentor = async function () {
 
   delete mentorInfoData[mentorName];
 
+  // Drop pairing constraints that name the deleted mentor
+  for (const info of Object.values(mentorInfoData)) {
+    info.never_with = (info.never_with || []).filter((n) => n !== mentorName);
+    if (info.must_overlap?.mentor === mentorName) info.must_overlap = null;
+  }
+
   try {
     await setDoc(doc(db, "mentorInfo", CAMPUS_ID), { mentors: mentorInfoData });
     showToast(`${mentorName} has been deleted successfully`);
@@ -515,12 +813,138 @@ window.updateHolidays = function () {
   document.getElementById("holidays").value = holidays;
 };
 
+window.updateSchedulePeriodInputs = function () {
+  const isRange = document.getElementById("schedule-period").value === "range";
+  document.getElementById("range-inputs").style.display = isRange ? "block" : "none";
+  document.getElementById("month-inputs").style.display = isRange ? "none" : "block";
+};
+
+// Custom date range from the Generate tab, or null to schedule the selected month
+function getScheduleRange() {
+  if (document.getElementById("schedule-period").value !== "range") return null;
+  return {
+    start: document.getElementById("range-start").value,
+    end: document.getElementById("range-end").value,
+  };
+}
+
+// National holidays between two dates, as YYYY-MM-DD keys
+function getNationalHolidayKeys(start, end) {
+  const keys = [];
+  for (let year = start.getFullYear(); year <= end.getFullYear(); year++) {
+    for (const [month, days] of Object.entries(computeNationalHolidays(year))) {
+      for (const day of parseHolidayDates(days)) {
+        const date = new Date(year, month - 1, day);
+        if (date >= start && date <= end) keys.push(formatDateKey(date));
+      }
+    }
+  }
+  return keys;
+}
+
+// Campus holidays for a custom range, entered as month/day ("12/24, 12/31" or "12/24-12/26"), as YYYY-MM-DD keys
+function parseRangeHolidayDates(holidayStr, start, end) {
+  const keys = new Set();
+  for (const part of holidayStr.split(",")) {
+    const [from, to = from] = part.split("-").map((s) => s.trim().split("/").map((n) => parseInt(n)));
+    if (from.length !== 2 || to.length !== 2 || [...from, ...to].some(isNaN)) continue;
+    for (let year = start.getFullYear(); year <= end.getFullYear(); year++) {
+      const last = new Date(year, to[0] - 1, to[1]);
+      for (let date = new Date(year, from[0] - 1, from[1]); date <= last; date.setDate(date.getDate() + 1)) {
+        if (date >= start && date <= end) keys.add(formatDateKey(date));
+      }
+    }
+  }
+  return [...keys].sort();
+}
+
+// First and last date a schedule covers: its month, or its custom range
+function getScheduleBounds({ year, month, range }) {
+  if (range) {
+    return { start: new Date(`${range.start}T00:00:00`), end: new Date(`${range.end}T00:00:00`) };
+  }
+  return { start: new Date(year, month - 1, 1), end: new Date(year, month, 0) };
+}
+
+// Day number of a date within a schedule (1 = first day, so the day of the month for monthly schedules)
+function getDayNumber(dateInfo, period = currentSchedule) {
+  const { start } = getScheduleBounds(period);
+  const date = new Date(dateInfo);
+  const midnight = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  return Math.round((midnight - start) / (24 * 60 * 60 * 1000)) + 1;
+}
+
+function getDateForDayNumber(dayNumber) {
+  const { start } = getScheduleBounds(currentSchedule);
+  return new Date(start.getFullYear(), start.getMonth(), start.getDate() + dayNumber - 1);
+}
+
+// Days off as day numbers of the current schedule: days of the month, or YYYY-MM-DD dates for a custom range
+function toScheduleDayNumbers(dates) {
+  return dates.map((d) => (typeof d === "string" && d.includes("-") ? getDayNumber(`${d}T00:00:00`) : parseInt(d)));
+}
+
+// How a day number is shown: the day of the month, or month/day for custom ranges
+function formatScheduleDay(dayNumber) {
+  if (!currentSchedule.range) return String(dayNumber);
+  const date = getDateForDayNumber(dayNumber);
+  return `${date.getMonth() + 1}/${date.getDate()}`;
+}
+
+// Saved schedules are keyed by month, or by start and end date for custom ranges
+function getScheduleDocId({ year, month, range }) {
+  return range ? `${CAMPUS_ID}_${range.start}_${range.end}` : `${CAMPUS_ID}_${month}_${year}`;
+}
+
+function getScheduleName({ year, month, range }) {
+  if (range) {
+    const { start, end } = getScheduleBounds({ range });
+    const format = (d) => `${d.getMonth() + 1}/${d.getDate()}/${d.getFullYear()}`;
+    return `${format(start)} – ${format(end)}`;
+  }
+  const monthNames = ['January', 'February', 'March', 'April', 'May', 'June',
+    'July', 'August', 'September', 'October', 'November', 'December'];
+  return `${monthNames[month - 1]} ${year}`;
+}
+
 window.generateSchedule = async function () {
-  const year = parseInt(document.getElementById("schedule-year").value);
-  const month = parseInt(document.getElementById("schedule-month").value);
+  if (generatingSchedule) {
+    showToast("A schedule is already being generated");
+    return;
+  }
+  const range = getScheduleRange();
+  let year = parseInt(document.getElementById("schedule-year").value);
+  let month = parseInt(document.getElementById("schedule-month").value);
   const holidayDates = parseHolidayDates(
     document.getElementById("holidays").value
   );
+  let rangeHolidayDates = [];
+  const solver = document.getElementById("solver-mode").value;
+  const timeBudgetSeconds = Math.min(
+    MAX_TIME_BUDGET_MS / 1000,
+    Math.max(1, parseFloat(document.getElementById("time-budget").value) || 2)
+  );
+  const candidateCount = Math.min(
+    10,
+    Math.max(1, parseInt(document.getElementById("candidate-count").value) || 1)
+  );
+  const seedInput = parseInt(document.getElementById("schedule-seed").value);
+
+  // A custom range is filed under the month it starts in
+  if (range) {
+    if (!range.start || !range.end || range.end < range.start) {
+      showToast("Please enter a start date on or before the end date");
+      return;
+    }
+    const { start, end } = getScheduleBounds({ range });
+    year = start.getFullYear();
+    month = start.getMonth() + 1;
+    // National holidays plus the campus holidays the admin entered
+    rangeHolidayDates = [...new Set([
+      ...getNationalHolidayKeys(start, end),
+      ...parseRangeHolidayDates(document.getElementById("range-holidays").value, start, end),
+    ])].sort();
+  }
 
   if (!year || year < 2020 || year > 2100) {
     showToast("Please enter a valid year");
@@ -532,39 +956,116 @@ window.generateSchedule = async function () {
     return;
   }
 
-  // Update mentor hard_dates with time-off data
+  // The calendar only holds time off for the month it is open on. Regenerating a schedule reuses the time off
+  // saved with it for other dates; otherwise requests on those dates are unknown.
+  const period = { year, month, range };
+  const savedTimeOff = currentSchedule && getScheduleDocId(currentSchedule) === getScheduleDocId(period)
+    ? currentSchedule.timeOff
+    : null;
+  const bounds = getScheduleBounds(period);
+  if (!savedTimeOff && !(isOnCalendar(bounds.start) && isOnCalendar(bounds.end))) {
+    const calendarMonth = getCalendarDate(1).toLocaleString("en-US", { month: "long", year: "numeric" });
+    if (!confirm(
+      `The employee calendar is open on ${calendarMonth}, so days off requested for dates outside it are not known ` +
+      `and will not be respected. Generate anyway?`
+    )) {
+      return;
+    }
+  }
+
+  // Candidates from an earlier run no longer match the inputs
+  scheduleCandidates = [];
+  displayCandidateComparison();
+
+  // Update mentor hard_dates and partial_dates with time-off data
+  const mentorInfoWithTimeOff = getMentorInfoWithTimeOff({ ...period, timeOff: savedTimeOff });
   for (const [name, info] of Object.entries(mentorInfoData)) {
-    info.hard_dates = getMentorTimeOffDates(name);
+    info.hard_dates = mentorInfoWithTimeOff[name].hard_dates;
+    info.partial_dates = mentorInfoWithTimeOff[name].partial_dates;
   }
+  const timeOff = getTimeOffSnapshot(mentorInfoData);
 
   const statusDiv = document.getElementById("generation-status");
-  statusDiv.textContent = "Generating schedule...";
+  statusDiv.textContent = "Loading adjacent months...";
   statusDiv.className = "status-message info";
 
+  // Shifts already saved in the previous and next month count toward shared pay periods
+  const adjacentShifts = await loadAdjacentShifts(period);
+  const saturdayHistory = schedulingRules.saturdayRotation
+    ? await loadSaturdayHistory(period, schedulingRules.saturdayHistoryMonths)
+    : {};
+  // Cells the admin locked on the schedule being regenerated stay as they are
+  const lockedAssignments = getLockedAssignments(period);
+
+  generatingSchedule = true;
   try {
     const holidays = {
       shift_info: {
         holiday_a_shift: 9,
         holiday_b_shift: 9,
       },
-      dates: holidayDates,
+      dates: range ? rangeHolidayDates : holidayDates,
     };
 
-    const schedule = new Schedule(
+    // A single run without a seed keeps the classic deterministic result
+    let seeds;
+    if (!isNaN(seedInput)) {
+      seeds = Array.from({ length: candidateCount }, (_, i) => seedInput + i);
+    } else if (candidateCount > 1) {
+      const baseSeed = Math.floor(Math.random() * 1000000);
+      seeds = Array.from({ length: candidateCount }, (_, i) => baseSeed + i);
+    } else {
+      seeds = [null];
+    }
+
+    const candidates = seeds.map((seed) => new Schedule(
       year,
       month,
       15, // Pay period length
       SEASONAL_SHIFT_INFO,
       mentorInfoData,
-      holidays
-    );
+      holidays,
+      {
+        solver: solver,
+        timeBudgetMs: timeBudgetSeconds * 1000,
+        adjacentShifts: adjacentShifts,
+        payPeriodPolicy: payPeriodPolicy,
+        rules: schedulingRules,
+        shiftQualifications: shiftQualifications,
+        shiftEndTimes: SHIFT_END_TIMES,
+        saturdayHistory: saturdayHistory,
+        lockedAssignments: lockedAssignments,
+        range: range,
+        seed: seed,
+        generate: false,
+      }
+    ));
+
+    // Generate one candidate at a time; the optimizer pauses between chunks so the page stays responsive
+    for (const [i, candidate] of candidates.entries()) {
+      const which = candidates.length > 1 ? ` ${i + 1} of ${candidates.length}` : "";
+      statusDiv.textContent =
+        solver === "optimized"
+          ? `Optimizing schedule${which} (${timeBudgetSeconds}s)...`
+          : `Generating schedule${which}...`;
+      // Let the status message render before the next candidate starts
+      await new Promise((resolve) => setTimeout(resolve, 0));
+      await candidate.generateScheduleAsync();
+    }
 
-    currentSchedule = {
-      year: year,
-      month: month,
-      schedule: schedule,
-      validationMessages: schedule.validationMessages || []
-    };
+    if (candidates.length > 1) {
+      scheduleCandidates = candidates
+        .map((schedule) => ({ schedule, score: schedule.scoreSchedule(), timeOff }))
+        .sort((a, b) => a.score.total - b.score.total);
+      displayCandidateComparison();
+
+      statusDiv.textContent = `Generated ${candidates.length} candidates. Pick one below to view and save it.`;
+      statusDiv.className = "status-message success";
+      return;
+    }
+
+    const schedule = candidates[0];
+    currentSchedule = toCurrentSchedule(schedule, timeOff);
 
     // Helper function to serialize mentorsOnShift object
     const serializeMentorsOnShift = (mentorsOnShift) => {
@@ -666,9 +1167,522 @@ window.generateSchedule = async function () {
     statusDiv.textContent = `Error: ${error.message}`;
     statusDiv.className = "status-message error";
     showToast("Error generating schedule");
+  } finally {
+    generatingSchedule = false;
+  }
+};
+
+// Wrap a freshly generated Schedule as the current (unsaved) schedule, with the time off it was generated with
+function toCurrentSchedule(schedule, timeOff) {
+  return {
+    year: schedule.year,
+    month: schedule.month,
+    range: schedule.options.range,
+    schedule: schedule,
+    seed: schedule.seed,
+    solver: schedule.options.solver,
+    payPeriodPolicy: payPeriodPolicy,
+    schedulingRules: schedulingRules,
+    lockedShifts: schedule.options.lockedAssignments.map(({ day, shift }) => ({ day, shift })),
+    callOuts: [],
+    timeOff: timeOff,
+    adjacentShifts: schedule.options.adjacentShifts, // Reused by the validator, not saved
+    validationMessages: schedule.validationMessages || [],
+    findings: schedule.findings || [],
+    score: schedule.summarizeScore(), // Recomputed by the validator, not saved
+  };
+}
+
+// Locked cells of the current schedule with the mentor now on them, if it covers the same dates
+function getLockedAssignments(period) {
+  if (!currentSchedule || getScheduleDocId(currentSchedule) !== getScheduleDocId(period)) return [];
+
+  return (currentSchedule.lockedShifts || [])
+    .map(({ day, shift }) => {
+      const assignedDay = currentSchedule.schedule.assignedDays.find(d => getDayNumber(d.dateInfo || d.date) === day);
+      const mentor = assignedDay?.mentorsOnShift?.[shift];
+      return mentor ? { day, shift, mentorName: mentor.name } : null;
+    })
+    .filter(lock => lock !== null);
+}
+
+function isShiftLocked(day, shift) {
+  return (currentSchedule?.lockedShifts || []).some(lock => lock.day === day && lock.shift === shift);
+}
+
+// Lock or unlock a cell so regenerating the month keeps its mentor
+window.toggleShiftLock = function (day, shift) {
+  if (!currentSchedule) return;
+
+  const locked = isShiftLocked(day, shift);
+  currentSchedule.lockedShifts = locked
+    ? currentSchedule.lockedShifts.filter(lock => !(lock.day === day && lock.shift === shift))
+    : [...(currentSchedule.lockedShifts || []), { day, shift }];
+
+  displaySchedule();
+  showToast(`${locked ? "Unlocked" : "Locked"} day ${formatScheduleDay(day)} ${shift.replace("_shift", "").replace("holiday_", "").toUpperCase()} (unsaved)`);
+};
+
+// Re-check the current schedule against every hard and soft rule and refresh the issues panel
+async function revalidateCurrentSchedule() {
+  const { year, month, schedule } = currentSchedule;
+  const options = await getReplayOptions();
+  // Days off and partial days come from the time-off calendar, or from the schedule where the calendar has moved on
+  const mentorInfo = getMentorInfoWithTimeOff(currentSchedule);
+
+  currentSchedule.findings = validateSchedule(year, month, getCurrentDays(), mentorInfo, schedule.holidays, options);
+  currentSchedule.score = scoreScheduleDays(year, month, getCurrentDays(), mentorInfo, schedule.holidays, options);
+  renderFindings();
+  return currentSchedule.findings;
+}
+
+// Days of a schedule (the current one, or a savedSchedules document) with the mentor name on each shift,
+// as validateSchedule expects them
+function getCurrentDays(period = currentSchedule) {
+  return period.schedule.assignedDays.map(d => ({
+    dayNumber: getDayNumber(d.dateInfo || d.date, period),
+    shifts: d.shifts,
+    assignments: Object.fromEntries(
+      Object.entries(d.mentorsOnShift || {}).map(([shift, mentor]) => [shift, mentor ? mentor.name : null])
+    ),
+  }));
+}
+
+// Schedule options for re-checking a schedule (the current one, or a savedSchedules document)
+async function getReplayOptions(period = currentSchedule) {
+  if (!period.adjacentShifts) {
+    period.adjacentShifts = await loadAdjacentShifts(period);
+  }
+  return {
+    range: period.range || null,
+    adjacentShifts: period.adjacentShifts,
+    payPeriodPolicy: period.payPeriodPolicy || payPeriodPolicy,
+    rules: period.schedulingRules || schedulingRules,
+    shiftQualifications: shiftQualifications,
+    shiftEndTimes: SHIFT_END_TIMES,
+  };
+}
+
+// Call-out: rank who could cover a shift whose mentor called in sick
+window.markCallOut = async function (day, shift) {
+  const { year, month, schedule } = currentSchedule;
+  const days = getCurrentDays();
+  const mentor = days.find(d => d.dayNumber === day)?.assignments[shift];
+  if (!mentor) return;
+
+  // Anyone who already called out of this day can't be asked to cover it
+  const calledOut = [
+    mentor,
+    ...(currentSchedule.callOuts || []).filter(c => c.day === day).map(c => c.mentor),
+  ];
+  const { candidates, excluded } = findReplacements(
+    year, month, days, getMentorInfoWithTimeOff(currentSchedule), schedule.holidays,
+    await getReplayOptions(), day, shift, calledOut
+  );
+  callOut = { day, shift, mentor, candidates };
+
+  const shiftLabel = shift.replace("_shift", "").replace("holiday_", "").toUpperCase();
+  let html = `<h3>Call-out: ${escapeHtml(mentor)}, day ${formatScheduleDay(day)} ${shiftLabel}</h3>`;
+
+  if (candidates.length > 0) {
+    html += "<table class=\"findings-table\"><tr><th>Mentor</th><th>Hours</th><th>Target</th><th>Under target</th><th></th></tr>";
+    candidates.forEach((c, index) => {
+      const note = [c.softDate ? " (soft date)" : "", c.losesWeekendOff ? " (loses last weekend off)" : ""].join("");
+      html += `<tr><td>${escapeHtml(c.mentor)}${note}</td><td>${c.hoursAssigned.toFixed(1)}</td><td>${c.target.toFixed(1)}</td>` +
+        `<td>${c.deficit.toFixed(1)}</td><td><button onclick="assignCallOutReplacement(${index})" class="btn-primary">Assign</button></td></tr>`;
+    });
+    html += "</table>";
+  } else {
+    html += "<p>No mentor can take this shift without breaking a rule.</p>";
+  }
+
+  if (excluded.length > 0) {
+    html += "<details><summary>Not eligible (" + excluded.length + ")</summary><table class=\"findings-table\"><tr><th>Mentor</th><th>Why</th></tr>";
+    for (const e of excluded) {
+      html += `<tr><td>${escapeHtml(e.mentor)}</td><td>${escapeHtml(e.message)}</td></tr>`;
+    }
+    html += "</table></details>";
+  }
+
+  html += `
+    <div class="form-actions">
+      <button onclick="assignCallOutReplacement(null)" class="btn-secondary">Leave shift empty</button>
+      <button onclick="cancelCallOut()" class="btn-secondary">Cancel</button>
+    </div>`;
+
+  const panel = document.getElementById("callout-panel");
+  panel.innerHTML = html;
+  panel.style.display = "block";
+  panel.scrollIntoView({ behavior: "smooth", block: "start" });
+};
+
+window.cancelCallOut = function () {
+  callOut = null;
+  const panel = document.getElementById("callout-panel");
+  panel.innerHTML = "";
+  panel.style.display = "none";
+};
+
+// Record the call-out on the schedule and put the chosen candidate (or nobody, for null) on the shift
+window.assignCallOutReplacement = async function (candidateIndex) {
+  if (!callOut) return;
+  const { day, shift, mentor, candidates } = callOut;
+  const replacement = candidateIndex === null ? null : candidates[candidateIndex].mentor;
+
+  currentSchedule.callOuts = [
+    ...(currentSchedule.callOuts || []),
+    { day, shift, mentor, replacement, recordedAt: new Date().toISOString() },
+  ];
+  cancelCallOut();
+  await updateScheduleMentor(day, shift, replacement);
+  displaySchedule();
+};
+
+// What-if: preview a time-off request on the current schedule before it goes on the calendar.
+// Days are days of the employee calendar's month, where the request would be recorded.
+window.previewTimeOffRequest = async function () {
+  const resultDiv = document.getElementById("whatif-result");
+  whatIfPreview = null;
+  resultDiv.innerHTML = "";
+
+  if (!currentSchedule) {
+    showToast("Generate or load a schedule first");
+    return;
+  }
+
+  const mentorName = document.getElementById("whatif-mentor").value;
+  const days = parseHolidayDates(document.getElementById("whatif-dates").value);
+  const mode = document.getElementById("whatif-mode").value;
+  if (!mentorName || days.length === 0) {
+    showToast("Choose a mentor and the days they're asking for");
+    return;
+  }
+
+  const { year, month, range, schedule } = currentSchedule;
+  const calendarYear = parseInt(document.getElementById("calendar-year").value);
+  const calendarMonth = parseInt(document.getElementById("calendar-month").value);
+  const { start, end } = getScheduleBounds(currentSchedule);
+  const requestedDates = days
+    .map((day) => new Date(calendarYear, calendarMonth, day))
+    .filter((date) => date >= start && date <= end);
+  if (requestedDates.length === 0) {
+    showToast("None of those days fall in the current schedule");
+    return;
+  }
+  const requestedDays = new Set(requestedDates.map(getDayNumber));
+
+  resultDiv.textContent = "Working out the impact...";
+  if (!currentSchedule.adjacentShifts) {
+    currentSchedule.adjacentShifts = await loadAdjacentShifts(currentSchedule);
+  }
+  const rules = currentSchedule.schedulingRules || schedulingRules;
+  const saturdayHistory = rules.saturdayRotation
+    ? await loadSaturdayHistory(currentSchedule, rules.saturdayHistoryMonths)
+    : {};
+
+  // The schedule as it stands, by day number
+  const before = {};
+  const dayShifts = {};
+  for (const d of schedule.assignedDays) {
+    const dayNumber = getDayNumber(d.dateInfo || d.date);
+    dayShifts[dayNumber] = d.shifts;
+    before[dayNumber] = Object.fromEntries(
+      Object.entries(d.mentorsOnShift || {}).map(([shift, mentor]) => [shift, mentor ? mentor.name : null])
+    );
+  }
+
+  // Shifts the mentor loses; repair keeps everything else, regenerate only the locked cells
+  const currentCells = Object.entries(before).flatMap(([day, shifts]) =>
+    Object.entries(shifts)
+      .filter(([, name]) => name)
+      .map(([shift, name]) => ({ day: parseInt(day), shift, mentorName: name }))
+  );
+  const freed = (cell) => cell.mentorName === mentorName && requestedDays.has(cell.day);
+  const freedCells = currentCells.filter(freed);
+  const lockedAssignments = (mode === "repair" ? currentCells : getLockedAssignments(currentSchedule))
+    .filter((cell) => !freed(cell));
+
+  // Everyone's time off as it would be once the request is approved
+  const whatIfMentorInfo = getMentorInfoWithTimeOff(currentSchedule);
+  if (whatIfMentorInfo[mentorName]) {
+    whatIfMentorInfo[mentorName].hard_dates.push(
+      ...requestedDates.map((date) => (range ? formatDateKey(date) : date.getDate()))
+    );
+  }
+
+  const preview = new Schedule(year, month, 15, SEASONAL_SHIFT_INFO, whatIfMentorInfo, schedule.holidays, {
+    solver: "greedy",
+    adjacentShifts: currentSchedule.adjacentShifts,
+    payPeriodPolicy: currentSchedule.payPeriodPolicy || payPeriodPolicy,
+    rules: rules,
+    shiftQualifications: shiftQualifications,
+    shiftEndTimes: SHIFT_END_TIMES,
+    saturdayHistory: saturdayHistory,
+    lockedAssignments: lockedAssignments,
+    dayShifts: dayShifts,
+    range: range,
+    seed: currentSchedule.seed ?? null,
+  });
+
+  // Diff: shifts that change hands, and hours gained or lost
+  const changes = [];
+  const hours = {};
+  const addHours = (name, key, amount) => {
+    if (!name) return;
+    hours[name] = hours[name] || { before: 0, after: 0 };
+    hours[name][key] += amount;
+  };
+  for (const day of preview.days) {
+    for (const [shift, mentor] of Object.entries(day.assignments)) {
+      const from = before[day.dayNumber]?.[shift] ?? null;
+      const to = mentor ? mentor.name : null;
+      addHours(from, "before", day.shifts[shift]);
+      addHours(to, "after", day.shifts[shift]);
+      if (from !== to) changes.push({ day: day.dayNumber, shift, from, to });
+    }
+  }
+  const unfillable = changes.filter((c) => c.from !== null && c.to === null);
+  const errorCount = (findings) => (findings || []).filter((f) => f.severity === "error").length;
+
+  whatIfPreview = { mentorName, days, freedCells, schedule: preview, timeOff: getTimeOffSnapshot(whatIfMentorInfo) };
+
+  let html = `<p><strong>${escapeHtml(mentorName)}</strong> off on ${[...requestedDays].map(formatScheduleDay).join(", ")}: ` +
+    `${changes.length} shift(s) change, ${unfillable.length} become unfillable, ` +
+    `errors ${errorCount(currentSchedule.findings)} → ${errorCount(preview.findings)}.</p>`;
+
+  if (changes.length > 0) {
+    html += "<table class=\"findings-table\"><tr><th>Day</th><th>Shift</th><th>Before</th><th>After</th></tr>";
+    for (const c of changes) {
+      const to = c.to === null ? '<span class="whatif-unfilled">Unfilled</span>' : escapeHtml(c.to);
+      html += `<tr><td>${formatScheduleDay(c.day)}</td><td>${c.shift}</td><td>${escapeHtml(c.from ?? "(Empty)")}</td><td>${to}</td></tr>`;
+    }
+    html += "</table>";
+  }
+
+  const hoursChanged = Object.entries(hours).filter(([, h]) => h.before !== h.after);
+  if (hoursChanged.length > 0) {
+    html += "<table class=\"findings-table\"><tr><th>Mentor</th><th>Hours before</th><th>Hours after</th><th>Change</th></tr>";
+    for (const [name, h] of hoursChanged.sort(([a], [b]) => a.localeCompare(b))) {
+      const diff = h.after - h.before;
+      html += `<tr><td>${escapeHtml(name)}</td><td>${h.before.toFixed(1)}</td><td>${h.after.toFixed(1)}</td><td>${diff > 0 ? "+" : ""}${diff.toFixed(1)}</td></tr>`;
+    }
+    html += "</table>";
+  }
+
+  const fullDays = getFullCalendarDays(mentorName, days);
+  if (fullDays.length > 0) {
+    html += `<p class="whatif-unfilled">Every calendar slot is taken on ${fullDays.join(", ")}; ` +
+      `free a slot or raise the slots per day before approving.</p>`;
+  }
+
+  html += `
+    <div class="form-actions">
+      <button onclick="approveTimeOffRequest(false)" class="btn-primary">Approve time off</button>
+      <button onclick="approveTimeOffRequest(true)" class="btn-primary">Approve and use this schedule</button>
+      <button onclick="discardTimeOffPreview()" class="btn-secondary">Discard</button>
+    </div>`;
+  resultDiv.innerHTML = html;
+};
+
+// Calendar days where every slot is taken by someone other than the mentor, so the request can't be recorded
+function getFullCalendarDays(mentorName, days) {
+  const slotsAvailable = parseInt(document.getElementById("slots-available").value) || 3;
+  return days.filter((day) => {
+    const slots = timeOffData[day] || [];
+    if (slots.includes(mentorName)) return false;
+    return Array.from({ length: slotsAvailable }, (_, i) => slots[i]).every((name) => name);
+  });
+}
+
+window.discardTimeOffPreview = function () {
+  whatIfPreview = null;
+  document.getElementById("whatif-result").innerHTML = "";
+};
+
+// Record the previewed request on the calendar, optionally switching to the previewed schedule
+window.approveTimeOffRequest = async function (useSchedule) {
+  if (!whatIfPreview) return;
+  const { mentorName, days, freedCells, schedule, timeOff } = whatIfPreview;
+
+  // The calendar only shows its configured number of slots per day
+  const fullDays = getFullCalendarDays(mentorName, days);
+  if (fullDays.length > 0) {
+    showToast(`Every calendar slot is taken on ${fullDays.join(", ")}`);
+    return;
+  }
+
+  const slotsAvailable = parseInt(document.getElementById("slots-available").value) || 3;
+  const previousTimeOff = structuredClone(timeOffData);
+  for (const day of days) {
+    if (!timeOffData[day]) timeOffData[day] = Array(slotsAvailable).fill("");
+    if (timeOffData[day].includes(mentorName)) continue;
+    // Take the first empty calendar slot
+    const freeSlot = Array.from({ length: slotsAvailable }, (_, i) => timeOffData[day][i]).findIndex((name) => !name);
+    timeOffData[day][freeSlot] = mentorName;
+  }
+
+  try {
+    await createBackup(previousTimeOff, "time-off-approval");
+    await setDoc(doc(db, "timeOff", CAMPUS_ID), {
+      mentors: timeOffData,
+      partial: partialTimeOffData,
+    });
+  } catch (error) {
+    console.error("Error saving time off:", error);
+    timeOffData = previousTimeOff;
+    showToast("Error saving time off");
+    return;
+  }
+
+  if (useSchedule) {
+    // Keep the admin's own locks, minus the shifts the mentor gave up
+    const lockedShifts = (currentSchedule.lockedShifts || []).filter(
+      (lock) => !freedCells.some((cell) => cell.day === lock.day && cell.shift === lock.shift)
+    );
+    // Still the same saved schedule, so keep its id and dates
+    currentSchedule = {
+      ...toCurrentSchedule(schedule, timeOff),
+      id: currentSchedule.id,
+      range: currentSchedule.range || null,
+      payPeriodPolicy: currentSchedule.payPeriodPolicy || payPeriodPolicy,
+      schedulingRules: currentSchedule.schedulingRules || schedulingRules,
+      lockedShifts: lockedShifts,
+      callOuts: currentSchedule.callOuts || [],
+    };
+    displaySchedule();
+    await revalidateCurrentSchedule();
+  }
+
+  discardTimeOffPreview();
+  showToast(useSchedule
+    ? `Time off approved for ${mentorName}; save the schedule to keep the changes`
+    : `Time off approved for ${mentorName}`);
+};
+
+// Show generated candidates side by side with their score breakdowns
+function displayCandidateComparison() {
+  const container = document.getElementById("candidate-comparison");
+  if (scheduleCandidates.length === 0) {
+    container.style.display = "none";
+    return;
+  }
+
+  const rows = [
+    ["Seed", (c) => c.schedule.seed],
+    ["Total score (lower is better)", (c) => c.score.total.toFixed(1)],
+    ["Fairness (spread of % of target)", (c) => `${c.score.fairness.toFixed(1)}%`],
+    ["Hours off target", (c) => `${c.score.hoursDeviation.toFixed(1)}h`],
+    ["Hours under minimums", (c) => `${c.score.hoursUnderMinimum.toFixed(1)}h`],
+    ["Preferred days hit", (c) => c.score.preferenceHits],
+    ["Preferred days missed", (c) => c.score.preferenceMisses],
+    ["Unfilled shifts", (c) => c.score.unfilled],
+    ["Force-filled shifts", (c) => c.score.forcedShifts],
+    ["Soft-date shifts", (c) => c.score.softDates],
+    ["Pairing nights short", (c) => c.score.pairingShortfall],
+    ["Avoided shift types worked", (c) => c.score.avoidedShifts],
+    ["Shifts outside preferred types", (c) => c.score.unpreferredShifts],
+    ["Isolated days off", (c) => c.score.isolatedDaysOff],
+    ["Lone workdays by requested days off", (c) => c.score.loneWorkdays],
+  ];
+
+  let html = "<h4>Candidate Schedules</h4><table><tr><th></th>";
+  scheduleCandidates.forEach((c, i) => {
+    html += `<th>#${i + 1}${i === 0 ? " (best)" : ""}</th>`;
+  });
+  html += "</tr>";
+
+  for (const [label, getValue] of rows) {
+    html += `<tr><td>${label}</td>`;
+    for (const candidate of scheduleCandidates) {
+      html += `<td>${getValue(candidate)}</td>`;
+    }
+    html += "</tr>";
   }
+
+  html += "<tr><td></td>";
+  scheduleCandidates.forEach((c, i) => {
+    html += `<td><button class="btn-primary" onclick="selectScheduleCandidate(${i})">Use this</button></td>`;
+  });
+  html += "</tr></table>";
+
+  container.innerHTML = html;
+  container.style.display = "block";
+}
+
+window.selectScheduleCandidate = function (index) {
+  const candidate = scheduleCandidates[index];
+  if (!candidate) return;
+
+  currentSchedule = toCurrentSchedule(candidate.schedule, candidate.timeOff);
+  showTab('view-schedule');
+  displaySchedule();
+  showToast(`Candidate #${index + 1} selected. Click 'Save Schedule' to save it.`);
 };
 
+// Load every assigned shift saved between two dates (inclusive), from monthly and custom-range schedules alike.
+// Where saved schedules overlap, each date comes from the most recently generated one.
+async function loadSavedShifts(from, to) {
+  const daysByDate = new Map(); // 'YYYY-MM-DD' -> { generatedAt, shifts }
+  try {
+    const schedulesQuery = query(collection(db, "savedSchedules"), where("campusId", "==", CAMPUS_ID));
+    const snapshot = await getDocs(schedulesQuery);
+    snapshot.forEach((scheduleDoc) => {
+      const data = scheduleDoc.data();
+      const { start, end } = getScheduleBounds(data);
+      if (end < from || start > to) return;
+
+      const generatedAt = data.generatedAt || "";
+      for (const day of data.schedule?.assignedDays || []) {
+        const dateInfo = new Date(day.dateInfo);
+        const date = new Date(dateInfo.getFullYear(), dateInfo.getMonth(), dateInfo.getDate());
+        if (date < from || date > to) continue;
+        const key = formatDateKey(date);
+        if (daysByDate.has(key) && daysByDate.get(key).generatedAt >= generatedAt) continue;
+
+        const shifts = Object.entries(day.mentorsOnShift || {})
+          .filter(([, mentor]) => mentor && mentor.name)
+          .map(([shift, mentor]) => ({ date, mentorName: mentor.name, shift, hours: day.shifts[shift] || 0 }));
+        daysByDate.set(key, { generatedAt, shifts });
+      }
+    });
+  } catch (error) {
+    console.error("Error loading saved schedules:", error);
+  }
+  return [...daysByDate.values()].flatMap((day) => day.shifts);
+}
+
+// Load every assigned shift saved in the month before and the month after a schedule's dates,
+// whether those days were saved as part of a month or a custom range
+async function loadAdjacentShifts(period) {
+  const { start, end } = getScheduleBounds(period);
+  const from = new Date(start.getFullYear(), start.getMonth(), start.getDate() - 1);
+  const to = new Date(end.getFullYear(), end.getMonth(), end.getDate() + 1);
+
+  const shifts = await loadSavedShifts(
+    new Date(from.getFullYear(), from.getMonth(), 1),
+    new Date(to.getFullYear(), to.getMonth() + 1, 0)
+  );
+  return shifts.filter((shift) => shift.date < start || shift.date > end);
+}
+
+// Count each mentor's Saturday A/B shifts saved in the months before a schedule starts
+async function loadSaturdayHistory(period, numMonths) {
+  const history = {};
+  if (numMonths < 1) return history;
+
+  const { start } = getScheduleBounds(period);
+  const shifts = await loadSavedShifts(
+    new Date(start.getFullYear(), start.getMonth() - numMonths, 1),
+    new Date(start.getFullYear(), start.getMonth(), start.getDate() - 1)
+  );
+  for (const shift of shifts) {
+    if (shift.date.getDay() === 6 && SATURDAY_ROTATION_SHIFTS.includes(shift.shift)) {
+      history[shift.mentorName] = (history[shift.mentorName] || 0) + 1;
+    }
+  }
+  return history;
+}
+
 function parseHolidayDates(holidayStr) {
   if (!holidayStr.trim()) return [];
 
@@ -705,7 +1719,7 @@ function displaySchedule() {
     return;
   }
 
-  const { year, month, schedule } = currentSchedule;
+  const { schedule } = currentSchedule;
   const monthNames = [
     "January",
     "February",
@@ -721,8 +1735,20 @@ function displaySchedule() {
     "December",
   ];
 
+  const seedInfo = currentSchedule.seed !== null && currentSchedule.seed !== undefined
+    ? `<p class="schedule-seed">Seed ${currentSchedule.seed} (${currentSchedule.solver || "greedy"} solver)</p>`
+    : "";
+  const callOuts = currentSchedule.callOuts || [];
+  const callOutInfo = callOuts.length > 0
+    ? `<p class="schedule-callouts">Call-outs: ${callOuts.map(c =>
+        `${formatScheduleDay(c.day)} ${c.shift.replace("_shift", "").replace("holiday_", "").toUpperCase()} ` +
+        `${escapeHtml(c.mentor)} → ${c.replacement ? escapeHtml(c.replacement) : "(Empty)"}`
+      ).join("; ")}</p>`
+    : "";
   document.getElementById("schedule-info").innerHTML = `
-    <h2>${monthNames[month - 1]} ${year}</h2>
+    <h2>${getScheduleName(currentSchedule)}</h2>
+    ${seedInfo}
+    ${callOutInfo}
   `;
 
   const container = document.getElementById("schedule-display");
@@ -734,22 +1760,10 @@ function displaySchedule() {
   
   if (validationDiv && validationSummary) {
     if (currentSchedule.validationMessages && currentSchedule.validationMessages.length > 0) {
-      const messages = currentSchedule.validationMessages.map(msg => {
-        // Format different types of messages
-        const escapedMsg = msg.replace(/</g, '&lt;').replace(/>/g, '&gt;');
-        if (msg.startsWith('✓')) {
-          return `<div class="validation-success">${escapedMsg}</div>`;
-        } else if (msg.startsWith('⚠') || msg.startsWith('Found') || msg.includes('WARNING')) {
-          return `<div class="validation-warning">${escapedMsg}</div>`;
-        } else if (msg.startsWith('  ')) {
-          return `<div class="validation-detail">${escapedMsg}</div>`;
-        } else if (msg.trim() === '') {
-          return '<div style="height: 0.5rem;"></div>';
-        } else {
-          return `<div class="validation-info">${escapedMsg}</div>`;
-        }
-      }).join('');
-      validationDiv.innerHTML = messages;
+      // The generation log is plain text; issues are rendered from the structured findings
+      validationDiv.innerHTML = currentSchedule.validationMessages
+        .map(msg => `<div class="validation-detail">${escapeHtml(msg)}</div>`)
+        .join('');
       validationSummary.style.display = 'block';
     } else {
       // Show a message indicating validation info is not available
@@ -803,9 +1817,11 @@ function displaySchedule() {
   });
   table.appendChild(headerRow);
 
-  // Get first day of month and total days
-  const firstDay = new Date(year, month - 1, 1).getDay();
-  const daysInMonth = new Date(year, month, 0).getDate();
+  // Get first weekday and total days (the month, or the custom range)
+  const { start, end } = getScheduleBounds(currentSchedule);
+  const firstDay = start.getDay();
+  const numDays = getDayNumber(end);
+  const holidayDates = schedule.holidays?.dates || [];
 
   // Create calendar grid
   let currentRow = document.createElement("div");
@@ -818,26 +1834,26 @@ function displaySchedule() {
     currentRow.appendChild(emptyCell);
   }
 
-  // Fill in days
-  for (let day = 1; day <= daysInMonth; day++) {
-    const assignedDay = schedule.assignedDays.find((d) => {
-      const dateInfo = d.dateInfo || d.date;
-      const dayNum = typeof dateInfo.getDate === 'function' ? dateInfo.getDate() : new Date(dateInfo).getDate();
-      return dayNum === day;
-    });
+  // Fill in days (`day` is the day number: the day of the month for monthly schedules)
+  for (let day = 1; day <= numDays; day++) {
+    const date = getDateForDayNumber(day);
+    const assignedDay = schedule.assignedDays.find((d) => getDayNumber(d.dateInfo || d.date) === day);
 
     const cell = document.createElement("div");
     cell.className = "schedule-cell";
+    cell.dataset.day = day;
 
-    // Check if it's a holiday
-    const isHoliday = schedule.holidays && schedule.holidays.dates && schedule.holidays.dates.includes(day);
+    // Check if it's a holiday (days of the month, or dates for custom ranges)
+    const isHoliday = holidayDates.includes(currentSchedule.range ? formatDateKey(date) : day);
     if (isHoliday) {
       cell.classList.add("holiday");
     }
 
     const dateLabel = document.createElement("div");
     dateLabel.className = "schedule-date";
-    dateLabel.textContent = day;
+    dateLabel.textContent = currentSchedule.range && (day === 1 || date.getDate() === 1)
+      ? `${monthNames[date.getMonth()].slice(0, 3)} ${date.getDate()}`
+      : date.getDate();
     cell.appendChild(dateLabel);
 
     if (assignedDay) {
@@ -856,6 +1872,8 @@ function displaySchedule() {
       for (const [shift, mentor] of sortedShifts) {
         const shiftDiv = document.createElement("div");
         shiftDiv.className = "schedule-shift";
+        shiftDiv.dataset.shift = shift;
+        if (mentor) shiftDiv.dataset.mentor = mentor.name;
         const shiftLabel = shift.replace("_shift", "").replace("holiday_", "").toUpperCase();
         
         // Create clickable mentor name or "(Empty)" for null shifts
@@ -876,6 +1894,25 @@ function displaySchedule() {
         
         shiftDiv.textContent = `${shiftLabel} - `;
         shiftDiv.appendChild(mentorSpan);
+
+        // Lock toggle: locked cells keep their mentor when the month is regenerated
+        if (mentor) {
+          const locked = isShiftLocked(day, shift);
+          const lockSpan = document.createElement("span");
+          lockSpan.className = "lock-toggle";
+          lockSpan.textContent = locked ? "🔒" : "🔓";
+          lockSpan.title = locked ? "Locked - click to unlock" : "Lock this assignment";
+          lockSpan.onclick = () => toggleShiftLock(day, shift);
+          shiftDiv.classList.toggle("locked", locked);
+          shiftDiv.appendChild(lockSpan);
+
+          const callOutSpan = document.createElement("span");
+          callOutSpan.className = "callout-toggle";
+          callOutSpan.textContent = "📞";
+          callOutSpan.title = "Mark call-out and find a replacement";
+          callOutSpan.onclick = () => markCallOut(day, shift);
+          shiftDiv.appendChild(callOutSpan);
+        }
         shiftsDiv.appendChild(shiftDiv);
       }
       cell.appendChild(shiftsDiv);
@@ -897,6 +1934,7 @@ function displaySchedule() {
   }
 
   container.appendChild(table);
+  renderFindings();
 
   // Add legend
   const legend = document.createElement("div");
@@ -910,11 +1948,114 @@ function displaySchedule() {
   updateHoursSummary();
 }
 
+function escapeHtml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// Render the issues panel from the current schedule's findings, applying the filter and sort controls
+window.renderFindings = function () {
+  const table = document.getElementById("findings-table");
+  if (!table || !currentSchedule) return;
+
+  document.getElementById("schedule-score").textContent = currentSchedule.score
+    ? `Score (lower is better): ${currentSchedule.score.summary}`
+    : "";
+
+  if (!currentSchedule.findings) {
+    document.getElementById("findings-count").textContent =
+      "Findings not available for this schedule. Generate a new schedule to see them.";
+    table.innerHTML = "";
+    return;
+  }
+
+  const findings = currentSchedule.findings;
+  const severityFilter = document.getElementById("findings-severity").value;
+  const codeSelect = document.getElementById("findings-code");
+  const sortBy = document.getElementById("findings-sort").value;
+
+  // Rebuild the rule filter from the codes present, keeping the current choice if it still applies
+  const codes = [...new Set(findings.map(f => f.code))].sort();
+  const selectedCode = codes.includes(codeSelect.value) ? codeSelect.value : "all";
+  codeSelect.innerHTML = '<option value="all">All rules</option>' +
+    codes.map(code => `<option value="${code}">${code}</option>`).join('');
+  codeSelect.value = selectedCode;
+
+  const severityRank = (f) => FINDING_SEVERITIES.indexOf(f.severity);
+  const byDay = (a, b) => (a.day ?? Infinity) - (b.day ?? Infinity);
+  const comparators = {
+    day: (a, b) => byDay(a, b) || severityRank(a) - severityRank(b),
+    severity: (a, b) => severityRank(a) - severityRank(b) || byDay(a, b),
+    mentor: (a, b) => (a.mentor || "~").localeCompare(b.mentor || "~") || byDay(a, b),
+    code: (a, b) => a.code.localeCompare(b.code) || byDay(a, b),
+  };
+
+  const visible = findings
+    .map((finding, index) => ({ finding, index }))
+    .filter(({ finding }) => severityFilter === "all" || finding.severity === severityFilter)
+    .filter(({ finding }) => selectedCode === "all" || finding.code === selectedCode)
+    .sort((a, b) => comparators[sortBy](a.finding, b.finding));
+
+  const counts = FINDING_SEVERITIES
+    .map(severity => `${findings.filter(f => f.severity === severity).length} ${severity}`)
+    .join(', ');
+  document.getElementById("findings-count").textContent =
+    findings.length === 0 ? "No issues found" : `${findings.length} issues (${counts})`;
+
+  if (visible.length === 0) {
+    table.innerHTML = "";
+    return;
+  }
+
+  let html = "<tr><th>Severity</th><th>Rule</th><th>Day</th><th>Shift</th><th>Mentor</th><th>Details</th></tr>";
+  for (const { finding, index } of visible) {
+    html += `<tr class="finding-${finding.severity}" onclick="highlightFinding(${index})">
+      <td>${finding.severity}</td>
+      <td>${finding.code}</td>
+      <td>${finding.day === null ? "" : formatScheduleDay(finding.day)}</td>
+      <td>${finding.shift ? finding.shift.replace("_shift", "").replace("holiday_", "").toUpperCase() : ""}</td>
+      <td>${finding.mentor ? escapeHtml(finding.mentor) : ""}</td>
+      <td>${escapeHtml(finding.message)}</td>
+    </tr>`;
+  }
+  table.innerHTML = html;
+};
+
+// Highlight the schedule cell a finding refers to (or every shift of the mentor for month-wide findings)
+window.highlightFinding = function (index) {
+  const finding = currentSchedule?.findings?.[index];
+  if (!finding) return;
+
+  document.querySelectorAll(".finding-highlight").forEach(el => el.classList.remove("finding-highlight"));
+
+  let targets = [];
+  if (finding.day !== null) {
+    const cell = document.querySelector(`.schedule-cell[data-day="${finding.day}"]`);
+    const shiftDiv = finding.shift && cell ? cell.querySelector(`[data-shift="${finding.shift}"]`) : null;
+    if (shiftDiv) {
+      targets = [shiftDiv];
+    } else if (cell) {
+      targets = [cell];
+    }
+  } else if (finding.mentor) {
+    targets = [...document.querySelectorAll(".schedule-shift[data-mentor]")]
+      .filter(el => el.dataset.mentor === finding.mentor);
+  }
+
+  if (targets.length === 0) {
+    showToast("Nothing to highlight for this finding");
+    return;
+  }
+  targets.forEach(el => el.classList.add("finding-highlight"));
+  targets[0].scrollIntoView({ behavior: "smooth", block: "center" });
+};
+
 // Function to recalculate and update hours summary based on current assignments
 function updateHoursSummary() {
   if (!currentSchedule || !currentSchedule.schedule) return;
   
   const schedule = currentSchedule.schedule;
+  // Days off for this schedule, as the validator and targets see them
+  const timeOffInfo = getMentorInfoWithTimeOff(currentSchedule);
   
   // Calculate actual hours from assigned shifts by counting from the calendar
   const mentorData = {};
@@ -924,7 +2065,15 @@ function updateHoursSummary() {
     mentorData[name] = {
       totalHours: 0,
       hoursWantedPerWeek: info.hours_wanted || 0,
-      daysOff: [...(info.hard_dates || [])]
+      hoursMinPerWeek: info.hours_min ?? null,
+      hoursMaxPerWeek: info.hours_max ?? null,
+      daysOff: toScheduleDayNumbers(timeOffInfo[name].hard_dates),
+      softDates: (info.soft_dates || []).map(d => parseInt(d)),
+      softDatesWorked: [],
+      hoursPerPayPeriod: {},
+      shiftCounts: {},
+      shiftCountsByMonth: {},
+      saturdays: 0
     };
   }
   
@@ -935,11 +2084,21 @@ function updateHoursSummary() {
       mentorData[mentor.name] = {
         totalHours: 0,
         hoursWantedPerWeek: mentor.hoursWantedPerWeek || mentor.hoursWanted || 0,
-        daysOff: [...(mentor.hardDates || mentor.unavailableDates || [])]
+        daysOff: [...(mentor.hardDates || mentor.unavailableDates || [])],
+        softDates: (mentor.softDates || []).map(d => parseInt(d)),
+        softDatesWorked: [],
+        hoursPerPayPeriod: {},
+        shiftCounts: {},
+        shiftCountsByMonth: {},
+        saturdays: 0
       };
     }
   }
   
+  // Pay periods as defined when the schedule was generated (or the campus policy)
+  const summaryPolicy = currentSchedule.payPeriodPolicy || payPeriodPolicy;
+  const overtimeCap = getOvertimeCap(summaryPolicy);
+  
   // Count hours from actual assignments on the calendar
   const assignedDays = schedule.assignedDays || [];
   for (const day of assignedDays) {
@@ -952,20 +2111,47 @@ function updateHoursSummary() {
           mentorData[mentor.name] = {
             totalHours: 0,
             hoursWantedPerWeek: mentor.hoursWantedPerWeek || mentor.hoursWanted || mentorInfoData[mentor.name]?.hours_wanted || 0,
-            daysOff: []
+            daysOff: [],
+            softDates: (mentor.softDates || []).map(d => parseInt(d)),
+            softDatesWorked: [],
+            hoursPerPayPeriod: {},
+            shiftCounts: {},
+            shiftCountsByMonth: {},
+            saturdays: 0
           };
         }
         const shiftHours = day.shifts[shift] || 0;
         mentorData[mentor.name].totalHours += shiftHours;
+        const shiftCounts = mentorData[mentor.name].shiftCounts;
+        shiftCounts[getShiftType(shift)] = (shiftCounts[getShiftType(shift)] || 0) + 1;
+        
+        const dayDate = new Date(day.dateInfo || day.date);
+        // Shift-type caps are monthly, so a range also keeps a count per calendar month
+        const monthLabel = dayDate.toLocaleString("en-US", { month: "short" });
+        const monthCounts = (mentorData[mentor.name].shiftCountsByMonth[monthLabel] ||= {});
+        monthCounts[getShiftType(shift)] = (monthCounts[getShiftType(shift)] || 0) + 1;
+        const dayNum = getDayNumber(dayDate);
+        if (mentorData[mentor.name].softDates.includes(dayNum)) {
+          mentorData[mentor.name].softDatesWorked.push(dayNum);
+        }
+        
+        if (dayDate.getDay() === 6 && SATURDAY_ROTATION_SHIFTS.includes(shift)) {
+          mentorData[mentor.name].saturdays++;
+        }
+        
+        const payPeriodKey = getPayPeriod(dayDate, summaryPolicy).key;
+        const perPeriod = mentorData[mentor.name].hoursPerPayPeriod;
+        perPeriod[payPeriodKey] = (perPeriod[payPeriodKey] || 0) + shiftHours;
       }
     }
   }
   
-  // Calculate number of weeks in this month for target calculation
-  const year = currentSchedule.year;
-  const month = currentSchedule.month;
-  const daysInMonth = new Date(year, month, 0).getDate();
-  const numWeeksInMonth = daysInMonth / 7;
+  // Targets pro-rated by each mentor's available days, as the scheduler sets them; mentors it skips
+  // (hidden from the calendar) fall back to the weeks in the schedule (month or custom range)
+  const targets = getMentorTargets(currentSchedule.year, currentSchedule.month,
+    timeOffInfo, schedule.holidays, { range: currentSchedule.range || null });
+  const numWeeksInMonth = getDayNumber(getScheduleBounds(currentSchedule).end) / 7;
+  const targetLabel = currentSchedule.range ? "Range Target" : "Monthly Target";
   
   // Update the summary table
   let summary = document.querySelector(".schedule-summary");
@@ -983,7 +2169,7 @@ function updateHoursSummary() {
   }
   
   let summaryHTML =
-    "<h4>Hours Summary</h4><table><tr><th>Mentor</th><th>Total Hours</th><th>Weekly Target</th><th>Monthly Target</th><th>Difference</th><th>Days Off</th></tr>";
+    `<h4>Hours Summary</h4><table><tr><th>Mentor</th><th>Total Hours</th><th>Weekly Min / Target / Max</th><th>${targetLabel}</th><th>Difference</th><th>Days Off</th><th>Soft Dates Worked</th><th>Pay Period Hours (max ${overtimeCap})</th><th>Saturday A/B Shifts</th><th>Shifts by Type</th></tr>`;
 
   // Sort mentors by name
   const sortedMentorNames = Object.keys(mentorData).sort();
@@ -991,24 +2177,68 @@ function updateHoursSummary() {
   // Build table rows in sorted order
   for (const name of sortedMentorNames) {
     const data = mentorData[name];
-    const monthlyTarget = (data.hoursWantedPerWeek * numWeeksInMonth).toFixed(1);
+    const target = targets[name];
+    const monthlyTarget = (target ? target.target : data.hoursWantedPerWeek * numWeeksInMonth).toFixed(1);
+    const targetCell = target && target.availableShare < 1
+      ? `<span title="Pro-rated to the ${Math.round(target.availableShare * 100)}% of their usual days they are available">${monthlyTarget}*</span>`
+      : monthlyTarget;
     const diff = data.totalHours - parseFloat(monthlyTarget);
     const diffStr = diff >= 0 ? `+${diff.toFixed(1)}` : diff.toFixed(1);
     const diffClass = Math.abs(diff) > 5 ? 'style="color: orange; font-weight: bold;"' : '';
+    // Totals under the mentor's minimum for the schedule are flagged
+    const minimumTotal = target ? target.minimum : data.hoursMinPerWeek != null ? data.hoursMinPerWeek * numWeeksInMonth : null;
+    const totalHours = minimumTotal !== null && data.totalHours < minimumTotal
+      ? `<span style="color: red; font-weight: bold;" title="Under the ${minimumTotal.toFixed(1)}h minimum">${data.totalHours.toFixed(1)}</span>`
+      : data.totalHours.toFixed(1);
+    const weeklyHours = `${data.hoursMinPerWeek ?? "–"} / ${data.hoursWantedPerWeek} / ${data.hoursMaxPerWeek ?? "–"}`;
+    const payPeriodHours = Object.keys(data.hoursPerPayPeriod).sort().map(key => {
+      const { start, end } = getPayPeriod(new Date(`${key}T00:00:00`), summaryPolicy);
+      const hours = data.hoursPerPayPeriod[key];
+      const label = `${start.getMonth() + 1}/${start.getDate()}–${end.getMonth() + 1}/${end.getDate()}: ${hours.toFixed(1)}`;
+      return hours > overtimeCap ? `<span style="color: orange; font-weight: bold;">${label}</span>` : label;
+    }).join("<br>");
+    // Shifts of a type the mentor avoids are flagged; "/ n" is their monthly cap, which a range
+    // compares with each calendar month's count
+    const info = mentorInfoData[name] || {};
+    const shiftTypeCounts = Object.entries(MENTOR_SHIFT_TYPES).map(([shift, label]) => {
+      const count = data.shiftCounts[shift] || 0;
+      const cap = info.shift_caps?.[shift];
+      let text = `${label} ${count}${cap !== undefined ? ` / ${cap}` : ""}`;
+      if (cap !== undefined && currentSchedule.range) {
+        const perMonth = Object.entries(data.shiftCountsByMonth).map(([month, counts]) => {
+          const monthText = `${month} ${counts[shift] || 0} / ${cap}`;
+          return (counts[shift] || 0) > cap
+            ? `<span style="color: red; font-weight: bold;" title="Over the monthly cap">${monthText}</span>`
+            : monthText;
+        });
+        text = `${label} ${count} (${perMonth.join(", ") || `max ${cap}/month`})`;
+      }
+      if (info.shift_preferences?.[shift] === "avoid" && count > 0) {
+        return `<span style="color: orange; font-weight: bold;" title="Avoids ${label} shifts">${text}</span>`;
+      }
+      return info.shift_preferences?.[shift] === "prefer" ? `<strong title="Prefers ${label} shifts">${text}</strong>` : text;
+    }).join(" · ");
     
     summaryHTML += `
       <tr>
         <td>${name}</td>
-        <td>${data.totalHours.toFixed(1)}</td>
-        <td>${data.hoursWantedPerWeek}</td>
-        <td>${monthlyTarget}</td>
+        <td>${totalHours}</td>
+        <td>${weeklyHours}</td>
+        <td>${targetCell}</td>
         <td ${diffClass}>${diffStr}</td>
-        <td>${data.daysOff.sort((a, b) => a - b).join(", ") || "None"}</td>
+        <td>${data.daysOff.sort((a, b) => a - b).map(formatScheduleDay).join(", ") || "None"}</td>
+        <td>${data.softDatesWorked.sort((a, b) => a - b).map(formatScheduleDay).join(", ") || "None"}</td>
+        <td>${payPeriodHours || "None"}</td>
+        <td>${data.saturdays}</td>
+        <td>${shiftTypeCounts}</td>
       </tr>
     `;
   }
 
   summaryHTML += "</table>";
+  if (Object.values(targets).some(t => t.availableShare < 1)) {
+    summaryHTML += "<p>* Pro-rated for days off and employment dates in this schedule</p>";
+  }
   summary.innerHTML = summaryHTML;
 }
 
@@ -1028,12 +2258,15 @@ function showMentorDropdown(span, day, shift, currentName) {
   }
   select.appendChild(emptyOption);
   
-  // Add all mentors to dropdown
+  // Add all mentors to dropdown, flagging anyone missing a required qualification
   const mentorNames = Object.keys(mentorInfoData);
   mentorNames.forEach(name => {
     const option = document.createElement("option");
     option.value = name;
-    option.textContent = name;
+    const missing = getMissingQualifications(name, shift);
+    option.textContent = missing.length > 0
+      ? `${name} ⚠ not ${missing.map(q => QUALIFICATIONS[q] || q).join(", ")}`
+      : name;
     if (name === currentName) {
       option.selected = true;
     }
@@ -1071,20 +2304,19 @@ function showMentorDropdown(span, day, shift, currentName) {
   select.focus();
 }
 
+// Get the qualifications a shift requires that a mentor does not hold
+function getMissingQualifications(mentorName, shift) {
+  const required = shiftQualifications[shift] || [];
+  const held = mentorInfoData[mentorName]?.qualifications || [];
+  return required.filter(q => !held.includes(q));
+}
+
 // Update mentor assignment in the schedule
 async function updateScheduleMentor(day, shift, newName) {
   if (!currentSchedule || !currentSchedule.schedule) return;
   
-  // Helper to get day number from a date (handles both Date objects and ISO strings)
-  const getDayNum = (d) => {
-    const dateInfo = d.dateInfo || d.date;
-    if (typeof dateInfo === 'string') {
-      return new Date(dateInfo).getDate();
-    } else if (typeof dateInfo.getDate === 'function') {
-      return dateInfo.getDate();
-    }
-    return null;
-  };
+  // Helper to get the day number of a day (handles both Date objects and ISO strings)
+  const getDayNum = (d) => getDayNumber(d.dateInfo || d.date);
   
   // Create a new mentor object
   const createMentorObj = (name) => {
@@ -1096,7 +2328,7 @@ async function updateScheduleMentor(day, shift, newName) {
       hardDates: mentorInfoData[name]?.hard_dates || [],
       unavailableDates: mentorInfoData[name]?.hard_dates || [],
       unavailableWeekdays: mentorInfoData[name]?.weekdays || [],
-      softDates: [],
+      softDates: mentorInfoData[name]?.soft_dates || [],
       hoursPay: 0,
       hoursAssigned: 0,
       daysLeft: 0,
@@ -1136,8 +2368,16 @@ async function updateScheduleMentor(day, shift, newName) {
   }
   
   // Update UI (don't auto-save - user must click Save Schedule button)
-  showToast("Schedule updated (unsaved)");
   updateHoursSummary();
+  
+  // Warn straight away if this edit broke a rule
+  const findings = await revalidateCurrentSchedule();
+  const broken = findings.filter(f => f.day === day && f.shift === shift && f.mentor === newName && f.severity !== "info");
+  if (broken.length > 0) {
+    showToast(`Warning: ${broken.map(f => f.message).join("; ")}`, 5000);
+  } else {
+    showToast("Schedule updated (unsaved)");
+  }
 }
 
 // Save current schedule to database
@@ -1147,6 +2387,17 @@ window.saveCurrentSchedule = async function() {
     return;
   }
 
+  // Re-check every rule; the admin must acknowledge any violations before saving
+  const findings = await revalidateCurrentSchedule();
+  const violations = findings.filter(f => f.severity !== 'info');
+  if (violations.length > 0) {
+    const listed = violations.slice(0, 15).map(f => `- [${f.severity}] ${f.message}`).join('\n');
+    const more = violations.length > 15 ? `\n...and ${violations.length - 15} more (see the Validation Summary)` : '';
+    if (!confirm(`This schedule has ${violations.length} rule violations:\n\n${listed}${more}\n\nSave it anyway?`)) {
+      return;
+    }
+  }
+
   const saveBtn = document.getElementById('save-schedule-btn');
   if (saveBtn) {
     saveBtn.disabled = true;
@@ -1155,11 +2406,9 @@ window.saveCurrentSchedule = async function() {
 
   try {
     const schedule = currentSchedule.schedule;
-    const monthNames = ['January', 'February', 'March', 'April', 'May', 'June',
-      'July', 'August', 'September', 'October', 'November', 'December'];
 
-    // Generate document ID from campus_month_year
-    const docId = `${CAMPUS_ID}_${currentSchedule.month}_${currentSchedule.year}`;
+    // Generate document ID from campus_month_year (or campus_start_end for custom ranges)
+    const docId = getScheduleDocId(currentSchedule);
 
     // Helper to remove undefined values
     function removeUndefined(obj) {
@@ -1216,9 +2465,18 @@ window.saveCurrentSchedule = async function() {
 
     const serializableSchedule = removeUndefined({
       campusId: CAMPUS_ID,
+      name: getScheduleName(currentSchedule),
       year: currentSchedule.year,
       month: currentSchedule.month,
+      range: currentSchedule.range || null,
       generatedAt: new Date().toISOString(),
+      seed: currentSchedule.seed ?? null,
+      solver: currentSchedule.solver || "greedy",
+      payPeriodPolicy: currentSchedule.payPeriodPolicy || payPeriodPolicy,
+      schedulingRules: currentSchedule.schedulingRules || schedulingRules,
+      lockedShifts: currentSchedule.lockedShifts || [],
+      callOuts: currentSchedule.callOuts || [],
+      timeOff: currentSchedule.timeOff || null,
       schedule: {
         m1: schedule.m1.map(serializeMentor),
         m2: schedule.m2.map(serializeMentor),
@@ -1253,7 +2511,9 @@ window.saveCurrentSchedule = async function() {
         })),
         holidays: schedule.holidays || { shift_info: {}, dates: [] }
       },
-      validationMessages: currentSchedule.validationMessages || []
+      validationMessages: currentSchedule.validationMessages || [],
+      findings: currentSchedule.findings || null,
+      violationsAcknowledged: violations.length
     });
 
     await setDoc(doc(db, 'savedSchedules', docId), serializableSchedule);
@@ -1264,8 +2524,7 @@ window.saveCurrentSchedule = async function() {
     // Reload the saved schedules list
     await loadSavedSchedulesList();
 
-    const monthName = monthNames[currentSchedule.month - 1];
-    showToast(`Schedule saved: ${monthName} ${currentSchedule.year}`);
+    showToast(`Schedule saved: ${getScheduleName(currentSchedule)}`);
   } catch (error) {
     console.error('Error saving schedule:', error);
     showToast('Error saving schedule');
@@ -1277,6 +2536,214 @@ window.saveCurrentSchedule = async function() {
   }
 };
 
+// Swap requests: mentors propose swaps and give-aways on the schedule page, the other mentor accepts,
+// and the admin approves them here. Every decided request stays in swapRequests as the swap history.
+window.loadSwapRequests = async function () {
+  try {
+    const swapQuery = query(collection(db, "swapRequests"), where("campusId", "==", CAMPUS_ID));
+    const snapshot = await getDocs(swapQuery);
+    swapRequests = snapshot.docs.map((swapDoc) => ({ id: swapDoc.id, ...swapDoc.data() }));
+    await renderSwapRequests();
+  } catch (error) {
+    console.error("Error loading swap requests:", error);
+  }
+};
+
+// Each mentor's days off and partial days, as saved with a schedule so it can be re-checked once the calendar moves on
+function getTimeOffSnapshot(mentorInfo) {
+  return Object.fromEntries(Object.entries(mentorInfo).map(([name, info]) => [
+    name,
+    { hard_dates: info.hard_dates || [], partial_dates: info.partial_dates || {} },
+  ]));
+}
+
+// Mentor info with every mentor's days off for a schedule (the current one, or a savedSchedules document):
+// from the calendar on the dates it covers, and from the time off saved with the schedule everywhere else
+function getMentorInfoWithTimeOff(period) {
+  const info = structuredClone(mentorInfoData);
+  const toDate = (key) => (period.range ? new Date(`${key}T00:00:00`) : new Date(period.year, period.month - 1, parseInt(key)));
+  const offCalendar = (key) => !isOnCalendar(toDate(key));
+  for (const [name, mentor] of Object.entries(info)) {
+    const saved = period.timeOff?.[name] || {};
+    mentor.hard_dates = [...new Set([
+      ...(saved.hard_dates || []).filter(offCalendar),
+      ...getMentorTimeOffDates(name, period),
+    ])];
+    mentor.partial_dates = {
+      ...Object.fromEntries(Object.entries(saved.partial_dates || {}).filter(([key]) => offCalendar(key))),
+      ...getMentorPartialDates(name, period),
+    };
+  }
+  return info;
+}
+
+// The shift changes a request makes: both shifts for a swap, one for a give-away
+function getSwapChanges(request) {
+  const changes = [{ day: request.from.day, shift: request.from.shift, mentor: request.to.mentor }];
+  if (request.type === "swap") {
+    changes.push({ day: request.to.day, shift: request.to.shift, mentor: request.from.mentor });
+  }
+  return changes;
+}
+
+// Hard rules the request would break on its saved schedule (empty if it can be approved)
+async function checkSwapRequest(request, savedData) {
+  if (!savedData) return ["The schedule has been deleted"];
+
+  // The shifts must still belong to the mentors who agreed to trade them
+  const days = getCurrentDays(savedData);
+  const holders = [[request.from, request.from.mentor]];
+  if (request.type === "swap") holders.push([request.to, request.to.mentor]);
+  const moved = holders
+    .filter(([cell, mentor]) => days.find((d) => d.dayNumber === cell.day)?.assignments[cell.shift] !== mentor)
+    .map(([cell, mentor]) => `${mentor} is no longer on ${cell.date} ${cell.shift}`);
+  if (moved.length > 0) return moved;
+
+  const problems = checkReassignments(
+    savedData.year,
+    savedData.month,
+    days,
+    getMentorInfoWithTimeOff(savedData),
+    savedData.schedule.holidays,
+    await getReplayOptions(savedData),
+    getSwapChanges(request)
+  );
+  return problems.map((p) => p.message);
+}
+
+function describeSwapRequest(request) {
+  // Every field comes from a mentor's browser, so none of it is trusted as HTML
+  const from = `${escapeHtml(request.from.mentor)} (${escapeHtml(request.from.date)} ${escapeHtml(request.from.shift)})`;
+  return request.type === "swap"
+    ? `${from} ⇄ ${escapeHtml(request.to.mentor)} (${escapeHtml(request.to.date)} ${escapeHtml(request.to.shift)})`
+    : `${from} → ${escapeHtml(request.to.mentor)}`;
+}
+
+async function renderSwapRequests() {
+  const queueDiv = document.getElementById("swap-queue");
+  const historyDiv = document.getElementById("swap-history");
+  if (!queueDiv || !historyDiv) return;
+
+  const accepted = swapRequests.filter((r) => r.status === "accepted");
+  const waiting = swapRequests.filter((r) => r.status === "proposed");
+  const decided = swapRequests
+    .filter((r) => !["accepted", "proposed"].includes(r.status))
+    .sort((a, b) => (b.decidedAt || "").localeCompare(a.decidedAt || ""));
+
+  // Each schedule is loaded once however many requests it has
+  const savedById = {};
+  for (const scheduleId of new Set(accepted.map((r) => r.scheduleId))) {
+    const scheduleDoc = await getDoc(doc(db, "savedSchedules", scheduleId));
+    savedById[scheduleId] = scheduleDoc.exists() ? scheduleDoc.data() : null;
+  }
+
+  let html = "";
+  if (accepted.length === 0) {
+    html += "<p>No swaps waiting for approval.</p>";
+  } else {
+    html += "<table class=\"findings-table\"><tr><th>Schedule</th><th>Request</th><th>Rules</th><th></th></tr>";
+    for (const [index, request] of accepted.entries()) {
+      const savedData = savedById[request.scheduleId];
+      const problems = await checkSwapRequest(request, savedData);
+      const rules = problems.length === 0
+        ? "✓ Passes every hard rule"
+        : `<span class="swap-blocked">${problems.map(escapeHtml).join("<br>")}</span>`;
+      // Buttons carry only their row's index; the request id is never written into the markup
+      html += `<tr><td>${savedData ? escapeHtml(getScheduleName(savedData)) : "(Deleted)"}</td><td>${describeSwapRequest(request)}</td><td>${rules}</td><td>` +
+        `<button data-swap-action="approve" data-swap-index="${index}" class="btn-primary"${problems.length > 0 ? " disabled" : ""}>Approve</button> ` +
+        `<button data-swap-action="reject" data-swap-index="${index}" class="btn-danger">Reject</button></td></tr>`;
+    }
+    html += "</table>";
+  }
+  if (waiting.length > 0) {
+    html += `<p>Waiting for the other mentor to accept: ${waiting.map(describeSwapRequest).join("; ")}</p>`;
+  }
+  queueDiv.innerHTML = html;
+  queueDiv.querySelectorAll("button[data-swap-action]").forEach((button) => {
+    const request = accepted[Number(button.dataset.swapIndex)];
+    button.addEventListener("click", () =>
+      button.dataset.swapAction === "approve"
+        ? window.approveSwapRequest(request.id)
+        : window.rejectSwapRequest(request.id)
+    );
+  });
+
+  historyDiv.innerHTML = decided.length === 0
+    ? "<p>No swaps decided yet.</p>"
+    : "<table class=\"findings-table\"><tr><th>Decided</th><th>Request</th><th>Outcome</th></tr>" +
+      decided.map((r) =>
+        `<tr><td>${r.decidedAt ? new Date(r.decidedAt).toLocaleString() : ""}</td><td>${describeSwapRequest(r)}</td><td>${escapeHtml(r.status)}</td></tr>`
+      ).join("") +
+      "</table>";
+}
+
+// Apply an accepted swap to its saved schedule, after checking it against the hard rules once more
+window.approveSwapRequest = async function (requestId) {
+  const request = swapRequests.find((r) => r.id === requestId);
+  if (!request || request.status !== "accepted") return;
+
+  try {
+    const scheduleRef = doc(db, "savedSchedules", request.scheduleId);
+    const scheduleDoc = await getDoc(scheduleRef);
+    const savedData = scheduleDoc.exists() ? scheduleDoc.data() : null;
+    const problems = await checkSwapRequest(request, savedData);
+    if (problems.length > 0) {
+      showToast(`Can't approve: ${problems.join("; ")}`, 5000);
+      await renderSwapRequests();
+      return;
+    }
+
+    const schedule = savedData.schedule;
+    for (const change of getSwapChanges(request)) {
+      const mentorOnShift = { name: change.mentor, hoursWanted: mentorInfoData[change.mentor]?.hours_wanted || 0 };
+      for (const dayList of [schedule.assignedDays, schedule.pay1, schedule.pay2]) {
+        const savedDay = (dayList || []).find((d) => getDayNumber(d.dateInfo || d.date, savedData) === change.day);
+        if (savedDay) savedDay.mentorsOnShift[change.shift] = mentorOnShift;
+      }
+    }
+
+    // Same time-off-merged mentor info as the check above
+    const findings = validateSchedule(
+      savedData.year,
+      savedData.month,
+      getCurrentDays(savedData),
+      getMentorInfoWithTimeOff(savedData),
+      schedule.holidays,
+      await getReplayOptions(savedData)
+    );
+    await setDoc(scheduleRef, { schedule, findings }, { merge: true });
+
+    const decided = { ...request, status: "approved", decidedAt: new Date().toISOString() };
+    delete decided.id;
+    await setDoc(doc(db, "swapRequests", requestId), decided);
+
+    if (currentSchedule?.id === request.scheduleId) {
+      await loadScheduleById(request.scheduleId, true);
+    }
+    await loadSwapRequests();
+    showToast("Swap approved and applied to the saved schedule");
+  } catch (error) {
+    console.error("Error approving swap:", error);
+    showToast("Error approving swap");
+  }
+};
+
+window.rejectSwapRequest = async function (requestId) {
+  const request = swapRequests.find((r) => r.id === requestId);
+  if (!request) return;
+
+  try {
+    const decided = { ...request, status: "rejected", decidedAt: new Date().toISOString() };
+    delete decided.id;
+    await setDoc(doc(db, "swapRequests", requestId), decided);
+    await loadSwapRequests();
+    showToast("Swap rejected");
+  } catch (error) {
+    console.error("Error rejecting swap:", error);
+    showToast("Error rejecting swap");
+  }
+};
+
 // Auto-fill mentor dates on calendar
 async function autoFillMentorDates(mentorName, unavailableWeekdays) {
   if (unavailableWeekdays.length === 0) return;
@@ -1398,6 +2865,171 @@ window.updateSlots = async function () {
   }
 };
 
+function populatePayPeriodPolicyForm() {
+  document.getElementById("pay-period-type").value = payPeriodPolicy.type;
+  document.getElementById("pay-period-anchor").value = payPeriodPolicy.anchorDate;
+  document.getElementById("overtime-cap").value = getOvertimeCap(payPeriodPolicy);
+}
+
+// Suggest the usual overtime cap when the pay period type changes
+window.updatePayPeriodCapDefault = function () {
+  const type = document.getElementById("pay-period-type").value;
+  document.getElementById("overtime-cap").value = DEFAULT_OVERTIME_CAPS[type];
+};
+
+window.updatePayPeriodPolicy = async function () {
+  const type = document.getElementById("pay-period-type").value;
+  const anchorDate = document.getElementById("pay-period-anchor").value;
+  const overtimeCap = parseFloat(document.getElementById("overtime-cap").value);
+
+  if (type !== "semimonthly" && !anchorDate) {
+    showToast("Please enter an anchor date");
+    return;
+  }
+
+  if (isNaN(overtimeCap) || overtimeCap <= 0) {
+    showToast("Please enter a valid overtime cap");
+    return;
+  }
+
+  try {
+    // Load existing config
+    const configDoc = await getDoc(doc(db, "calendarConfig", CAMPUS_ID));
+    const existingConfig = configDoc.exists() ? configDoc.data() : {};
+
+    const newPolicy = {
+      type: type,
+      anchorDate: anchorDate || DEFAULT_PAY_PERIOD_POLICY.anchorDate,
+      overtimeCap: overtimeCap,
+    };
+
+    // Update with new policy while preserving other settings
+    const updatedConfig = {
+      ...existingConfig,
+      payPeriodPolicy: newPolicy,
+    };
+
+    await setDoc(doc(db, "calendarConfig", CAMPUS_ID), updatedConfig);
+    payPeriodPolicy = newPolicy;
+    showToast("Pay period policy updated successfully");
+  } catch (error) {
+    console.error("Error updating pay period policy:", error);
+    showToast("Error updating pay period policy");
+  }
+};
+
+function populateSchedulingRulesForm() {
+  document.getElementById("max-hours-per-week").value =
+    schedulingRules.maxHoursPerWeek ?? "";
+  document.getElementById("max-consecutive-days").value =
+    schedulingRules.maxConsecutiveDays ?? "";
+  document.getElementById("require-weekend-off").checked =
+    schedulingRules.requireWeekendOff;
+  document.getElementById("saturday-rotation").checked =
+    schedulingRules.saturdayRotation;
+  document.getElementById("saturday-history-months").value =
+    schedulingRules.saturdayHistoryMonths;
+  document.getElementById("isolated-day-off-weight").value =
+    schedulingRules.isolatedDayOffWeight;
+  document.getElementById("lone-workday-weight").value =
+    schedulingRules.loneWorkdayWeight;
+}
+
+window.updateSchedulingRules = async function () {
+  const maxHoursPerWeek = parseFloat(
+    document.getElementById("max-hours-per-week").value
+  );
+  const maxConsecutiveDays = parseInt(
+    document.getElementById("max-consecutive-days").value
+  );
+  const requireWeekendOff = document.getElementById("require-weekend-off").checked;
+  const saturdayRotation = document.getElementById("saturday-rotation").checked;
+  const saturdayHistoryMonths = parseInt(
+    document.getElementById("saturday-history-months").value
+  );
+  const isolatedDayOffWeight = parseFloat(
+    document.getElementById("isolated-day-off-weight").value
+  );
+  const loneWorkdayWeight = parseFloat(
+    document.getElementById("lone-workday-weight").value
+  );
+
+  try {
+    // Load existing config
+    const configDoc = await getDoc(doc(db, "calendarConfig", CAMPUS_ID));
+    const existingConfig = configDoc.exists() ? configDoc.data() : {};
+
+    const newRules = {
+      maxHoursPerWeek: maxHoursPerWeek > 0 ? maxHoursPerWeek : null,
+      maxConsecutiveDays: maxConsecutiveDays > 0 ? maxConsecutiveDays : null,
+      requireWeekendOff: requireWeekendOff,
+      saturdayRotation: saturdayRotation,
+      saturdayHistoryMonths: saturdayHistoryMonths >= 0 ? saturdayHistoryMonths : 3,
+      isolatedDayOffWeight: isolatedDayOffWeight >= 0 ? isolatedDayOffWeight : DEFAULT_SCHEDULING_RULES.isolatedDayOffWeight,
+      loneWorkdayWeight: loneWorkdayWeight >= 0 ? loneWorkdayWeight : DEFAULT_SCHEDULING_RULES.loneWorkdayWeight,
+    };
+
+    // Update with new rules while preserving other settings
+    const updatedConfig = {
+      ...existingConfig,
+      schedulingRules: newRules,
+    };
+
+    await setDoc(doc(db, "calendarConfig", CAMPUS_ID), updatedConfig);
+    schedulingRules = newRules;
+    showToast("Scheduling rules updated successfully");
+  } catch (error) {
+    console.error("Error updating scheduling rules:", error);
+    showToast("Error updating scheduling rules");
+  }
+};
+
+function populateShiftQualificationsForm() {
+  const container = document.getElementById("shift-qualifications");
+  container.innerHTML = Object.entries(SHIFT_TYPES)
+    .map(([shift, shiftLabel]) => {
+      const required = shiftQualifications[shift] || [];
+      const boxes = Object.entries(QUALIFICATIONS)
+        .map(([key, label]) => `
+          <label>
+            <input type="checkbox" data-shift="${shift}" value="${key}" ${required.includes(key) ? "checked" : ""} />
+            ${label}
+          </label>`)
+        .join("");
+      return `<div class="shift-qualification-row checkbox-group"><span class="shift-qualification-name">${shiftLabel}</span>${boxes}</div>`;
+    })
+    .join("");
+}
+
+window.updateShiftQualifications = async function () {
+  const newQualifications = {};
+  for (const shift of Object.keys(SHIFT_TYPES)) {
+    newQualifications[shift] = [];
+  }
+  document
+    .querySelectorAll("#shift-qualifications input:checked")
+    .forEach((cb) => newQualifications[cb.dataset.shift].push(cb.value));
+
+  try {
+    // Load existing config
+    const configDoc = await getDoc(doc(db, "calendarConfig", CAMPUS_ID));
+    const existingConfig = configDoc.exists() ? configDoc.data() : {};
+
+    // Update with new qualifications while preserving other settings
+    const updatedConfig = {
+      ...existingConfig,
+      shiftQualifications: newQualifications,
+    };
+
+    await setDoc(doc(db, "calendarConfig", CAMPUS_ID), updatedConfig);
+    shiftQualifications = newQualifications;
+    showToast("Shift qualifications updated successfully");
+  } catch (error) {
+    console.error("Error updating shift qualifications:", error);
+    showToast("Error updating shift qualifications");
+  }
+};
+
 window.clearCalendar = async function () {
   if (
     !confirm(
@@ -1415,6 +3047,7 @@ window.clearCalendar = async function () {
   try {
     // Clear all time-off data
     timeOffData = {};
+    partialTimeOffData = {};
 
     // Auto-fill for mentors with auto-fill enabled
     for (const [name, info] of Object.entries(mentorInfoData)) {
@@ -1428,7 +3061,10 @@ window.clearCalendar = async function () {
     }
 
     // Save to Firebase (save once after all auto-fills)
-    await setDoc(doc(db, "timeOff", CAMPUS_ID), { mentors: timeOffData });
+    await setDoc(doc(db, "timeOff", CAMPUS_ID), {
+      mentors: timeOffData,
+      partial: partialTimeOffData,
+    });
 
     statusDiv.textContent = "Calendar cleared and auto-filled successfully!";
     statusDiv.className = "status-message success";
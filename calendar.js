@@ -7,13 +7,14 @@ import {
   createBackup,
 } from "./firebase.js";
 import { CAMPUS_ID } from "./config.js";
-import { showToast, updateDayStyles } from "./ui.js";
+import { showToast, updateDayStyles, describePartialAvailability } from "./ui.js";
 
 let mentors = []; // Will be loaded from Firebase based on show_on_calendar
 let slotsAvailable = 3; // Default, will be loaded from Firebase
 let targetMonth = 0; // 0 = Jan, 1 = Feb etc, will be loaded from Firebase
 let targetYear = 2026; // Will be loaded from Firebase
 let timeOffData = {};
+let partialData = {}; // { day: { mentorName: { until: "HH:MM" } or { short_only: true } } }
 
 async function loadMentorList() {
   try {
@@ -45,7 +46,8 @@ async function loadTimeOffData() {
     const docSnap = await getDoc(doc(db, "timeOff", CAMPUS_ID));
     if (docSnap.exists()) {
       timeOffData = docSnap.data()?.mentors || {};
-      console.log("Loaded Time Off Data:", timeOffData);
+      partialData = docSnap.data()?.partial || {};
+      console.log("Loaded Time Off Data:", timeOffData, partialData);
     } else {
       console.warn("No Time Off Data Found");
     }
@@ -136,6 +138,7 @@ export async function createCalendar() {
 
     for (let i = 0; i < slotsAvailable; i++) {
       const select = document.createElement("select");
+      select.className = "slot-select";
       select.innerHTML =
         '<option value="">-</option>' +
         mentors.map((emp) => `<option value="${emp}">${emp}</option>`).join("");
@@ -146,16 +149,109 @@ export async function createCalendar() {
       dayDiv.appendChild(select);
     }
 
+    dayDiv.appendChild(createPartialSection(day));
+
     calendar.appendChild(dayDiv);
   }
 
   updateDayStyles();
 }
 
+// Partial days off: listed apart from the whole-day slots, with a small form to add one
+function createPartialSection(day) {
+  const section = document.createElement("div");
+  section.className = "partial-section";
+
+  for (const [name, limit] of Object.entries(partialData[day] || {})) {
+    const entry = document.createElement("div");
+    entry.className = "partial-entry";
+    entry.textContent = `${name}: ${describePartialAvailability(limit)}`;
+
+    const removeBtn = document.createElement("button");
+    removeBtn.className = "partial-remove";
+    removeBtn.textContent = "✕";
+    removeBtn.title = "Remove";
+    removeBtn.onclick = () => savePartial(day, name, null);
+    entry.appendChild(removeBtn);
+
+    section.appendChild(entry);
+  }
+
+  const form = document.createElement("div");
+  form.className = "partial-form hidden";
+  form.innerHTML = `
+    <select class="partial-mentor">
+      <option value="">Mentor</option>
+      ${mentors.map((emp) => `<option value="${emp}">${emp}</option>`).join("")}
+    </select>
+    <select class="partial-kind">
+      <option value="until">Unavailable after</option>
+      <option value="short_only">Only short shifts</option>
+    </select>
+    <input type="time" class="partial-time" value="20:00" />
+    <button class="partial-add">Add</button>
+  `;
+  const kindSelect = form.querySelector(".partial-kind");
+  const timeInput = form.querySelector(".partial-time");
+  kindSelect.onchange = () => {
+    timeInput.style.display = kindSelect.value === "until" ? "" : "none";
+  };
+  form.querySelector(".partial-add").onclick = () => {
+    const name = form.querySelector(".partial-mentor").value;
+    if (!name) {
+      showToast("Pick a mentor first.");
+      return;
+    }
+    if (kindSelect.value === "until" && !timeInput.value) {
+      showToast("Enter the time they have to leave.");
+      return;
+    }
+    const limit =
+      kindSelect.value === "until" ? { until: timeInput.value } : { short_only: true };
+    savePartial(day, name, limit);
+  };
+
+  const toggleBtn = document.createElement("button");
+  toggleBtn.className = "partial-toggle";
+  toggleBtn.textContent = "+ Partial day";
+  toggleBtn.onclick = () => form.classList.toggle("hidden");
+
+  section.appendChild(toggleBtn);
+  section.appendChild(form);
+  return section;
+}
+
+async function savePartial(day, name, limit) {
+  if (limit && (timeOffData[day] || []).includes(name)) {
+    showToast(`${name} already has the whole day off.`);
+    return;
+  }
+
+  try {
+    if (!partialData[day]) partialData[day] = {};
+    if (limit) {
+      partialData[day][name] = limit;
+    } else {
+      delete partialData[day][name];
+    }
+    if (Object.keys(partialData[day]).length === 0) delete partialData[day];
+
+    await setDoc(doc(db, "timeOff", CAMPUS_ID), {
+      mentors: timeOffData,
+      partial: partialData,
+    });
+    await createBackup(partialData, "partial");
+
+    showToast("Saved!");
+  } catch (error) {
+    console.error("Error saving partial availability:", error);
+  }
+}
+
 async function saveTimeOff(day, index, select) {
   const name = select.value;
   const dayDiv = select.parentElement;
-  const selects = dayDiv.querySelectorAll("select");
+  const selects = dayDiv.querySelectorAll(".slot-select");
 
   for (let i = 0; i < selects.length; i++) {
     if (i !== index && selects[i].value === name && name !== "") {
@@ -169,7 +265,10 @@ async function saveTimeOff(day, index, select) {
     if (!timeOffData[day]) timeOffData[day] = Array(slotsAvailable).fill("");
     timeOffData[day][index] = name;
 
-    await setDoc(doc(db, "timeOff", CAMPUS_ID), { mentors: timeOffData });
+    await setDoc(doc(db, "timeOff", CAMPUS_ID), {
+      mentors: timeOffData,
+      partial: partialData,
+    });
     await createBackup(timeOffData);
 
     showToast("Saved!");
@@ -192,6 +291,13 @@ export function generateReport() {
     });
   });
 
+  Object.keys(partialData).forEach((day) => {
+    Object.entries(partialData[day]).forEach(([name, limit]) => {
+      if (!mentorRequests[name]) mentorRequests[name] = [];
+      mentorRequests[name].push(`${day} (${describePartialAvailability(limit)})`);
+    });
+  });
+
   Object.keys(mentorRequests).forEach((name) => {
     report += `${name}: ${mentorRequests[name].join(", ")}\n`;
   });
@@ -215,8 +321,13 @@ export async function clearAll() {
 
   try {
     await createBackup(timeOffData, "manual-clear");
+    await createBackup(partialData, "manual-clear-partial");
     timeOffData = {};
-    await setDoc(doc(db, "timeOff", CAMPUS_ID), { mentors: timeOffData });
+    partialData = {};
+    await setDoc(doc(db, "timeOff", CAMPUS_ID), {
+      mentors: timeOffData,
+      partial: partialData,
+    });
     showToast("All entries cleared.");
     createCalendar();
   } catch (error) {
@@ -228,6 +339,7 @@ export async function clearAll() {
 onSnapshot(doc(db, "timeOff", CAMPUS_ID), (docSnap) => {
   if (docSnap.exists()) {
     timeOffData = docSnap.data()?.mentors || {};
+    partialData = docSnap.data()?.partial || {};
     createCalendar();
   }
 });
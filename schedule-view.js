@@ -0,0 +1,375 @@
+import {
+  db,
+  doc,
+  setDoc,
+  getDoc,
+  collection,
+  getDocs,
+  query,
+  where,
+} from "./firebase.js";
+import { CAMPUS_ID } from "./config.js";
+import { showToast } from "./ui.js";
+
+// Read-only view of the saved schedules, where mentors offer shift swaps and give-aways.
+// Requests go to swapRequests: the other mentor accepts, then an admin approves them in the admin portal.
+
+const SHIFT_ORDER = ["a_shift", "b_shift", "c_shift", "holiday_a_shift", "holiday_b_shift"];
+const OPEN_STATUSES = ["proposed", "accepted"];
+
+let mentors = []; // Will be loaded from Firebase based on show_on_calendar
+let schedules = []; // [{ id, year, month, range }] newest first
+let savedSchedule = null; // { id, days: [{ dayNumber, date, shifts: { shiftName: mentorName } }] }
+let swapRequests = []; // Every swap request for this campus
+let me = "";
+
+async function loadMentorList() {
+  try {
+    const docSnap = await getDoc(doc(db, "mentorInfo", CAMPUS_ID));
+    if (docSnap.exists()) {
+      const mentorInfoData = docSnap.data()?.mentors || {};
+      mentors = Object.keys(mentorInfoData).filter(
+        (name) => mentorInfoData[name].show_on_calendar !== false
+      );
+    }
+  } catch (error) {
+    console.error("Error loading mentor list:", error);
+  }
+}
+
+async function loadScheduleList() {
+  try {
+    const snapshot = await getDocs(
+      query(collection(db, "savedSchedules"), where("campusId", "==", CAMPUS_ID))
+    );
+    schedules = snapshot.docs.map((scheduleDoc) => {
+      const data = scheduleDoc.data();
+      return { id: scheduleDoc.id, year: data.year, month: data.month, range: data.range || null };
+    });
+    schedules.sort((a, b) => getScheduleStart(b) - getScheduleStart(a));
+  } catch (error) {
+    console.error("Error loading saved schedules:", error);
+  }
+}
+
+async function loadSwapRequests() {
+  try {
+    const snapshot = await getDocs(
+      query(collection(db, "swapRequests"), where("campusId", "==", CAMPUS_ID))
+    );
+    swapRequests = snapshot.docs.map((swapDoc) => ({ id: swapDoc.id, ...swapDoc.data() }));
+  } catch (error) {
+    console.error("Error loading swap requests:", error);
+  }
+}
+
+// Saved schedules are monthly, or a custom range starting on range.start
+function getScheduleStart({ year, month, range }) {
+  return range ? new Date(`${range.start}T00:00:00`) : new Date(year, month - 1, 1);
+}
+
+function getScheduleName({ year, month, range }) {
+  const monthNames = ["January", "February", "March", "April", "May", "June",
+    "July", "August", "September", "October", "November", "December"];
+  if (range) return `${range.start} – ${range.end}`;
+  return `${monthNames[month - 1]} ${year}`;
+}
+
+function formatShift(shift) {
+  return shift.replace("_shift", "").replace("holiday_", "").toUpperCase();
+}
+
+function formatDate(date) {
+  return `${date.getMonth() + 1}/${date.getDate()}`;
+}
+
+async function loadSchedule(scheduleId) {
+  const scheduleDoc = await getDoc(doc(db, "savedSchedules", scheduleId));
+  if (!scheduleDoc.exists()) {
+    savedSchedule = null;
+    return;
+  }
+
+  // Day numbers count from the first day of the schedule, as in the admin portal
+  const data = scheduleDoc.data();
+  const start = getScheduleStart(data);
+  const days = (data.schedule?.assignedDays || []).map((d) => {
+    const dateInfo = new Date(d.dateInfo);
+    const date = new Date(dateInfo.getFullYear(), dateInfo.getMonth(), dateInfo.getDate());
+    return {
+      dayNumber: Math.round((date - start) / (24 * 60 * 60 * 1000)) + 1,
+      date,
+      shifts: Object.fromEntries(
+        Object.entries(d.mentorsOnShift || {}).map(([shift, mentor]) => [shift, mentor ? mentor.name : null])
+      ),
+    };
+  });
+  days.sort((a, b) => a.dayNumber - b.dayNumber);
+  savedSchedule = { id: scheduleId, days };
+}
+
+// Open requests still waiting on someone, for the shown schedule
+function getOpenRequests() {
+  return swapRequests.filter(
+    (r) => r.scheduleId === savedSchedule?.id && OPEN_STATUSES.includes(r.status)
+  );
+}
+
+function isShiftInOpenRequest(day, shift) {
+  return getOpenRequests().some(
+    (r) => (r.from.day === day && r.from.shift === shift) || (r.type === "swap" && r.to.day === day && r.to.shift === shift)
+  );
+}
+
+function renderSchedule() {
+  const table = document.getElementById("schedule-view");
+  table.innerHTML = "";
+  if (!savedSchedule) {
+    table.innerHTML = "<tr><td>No saved schedule yet.</td></tr>";
+    return;
+  }
+
+  const shiftNames = [...new Set(savedSchedule.days.flatMap((d) => Object.keys(d.shifts)))].sort(
+    (a, b) => SHIFT_ORDER.indexOf(a) - SHIFT_ORDER.indexOf(b)
+  );
+  const weekdays = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+  const header = document.createElement("tr");
+  header.innerHTML = `<th>Date</th>${shiftNames.map((s) => `<th>${formatShift(s)}</th>`).join("")}`;
+  table.appendChild(header);
+
+  for (const day of savedSchedule.days) {
+    const row = document.createElement("tr");
+    const dateCell = document.createElement("td");
+    dateCell.textContent = `${weekdays[day.date.getDay()]} ${formatDate(day.date)}`;
+    row.appendChild(dateCell);
+
+    for (const shift of shiftNames) {
+      const cell = document.createElement("td");
+      const mentor = day.shifts[shift];
+      if (!(shift in day.shifts)) {
+        cell.className = "no-shift";
+      } else if (mentor) {
+        cell.textContent = mentor;
+        if (mentor === me) cell.classList.add("my-shift");
+
+        if (isShiftInOpenRequest(day.dayNumber, shift)) {
+          cell.classList.add("swap-pending");
+          cell.title = "A swap is pending for this shift";
+        } else if (mentor === me) {
+          const offerBtn = document.createElement("button");
+          offerBtn.className = "offer-button";
+          offerBtn.textContent = "Offer";
+          offerBtn.onclick = () => showOfferForm(day, shift);
+          cell.appendChild(offerBtn);
+        }
+      } else {
+        cell.textContent = "-";
+      }
+      row.appendChild(cell);
+    }
+    table.appendChild(row);
+  }
+}
+
+// Replace a select's options with [value, label] pairs; built as elements so names are never parsed as HTML
+function setOptions(select, options) {
+  select.innerHTML = "";
+  for (const [value, label] of options) {
+    const option = document.createElement("option");
+    option.value = value;
+    option.textContent = label;
+    select.appendChild(option);
+  }
+}
+
+// Form for offering one of my shifts: a swap for one of another mentor's shifts, or a give-away
+function showOfferForm(day, shift) {
+  const form = document.getElementById("offer-form");
+  const others = mentors.filter((name) => name !== me);
+  form.innerHTML = `
+    <h3>Offer your ${formatDate(day.date)} ${formatShift(shift)} shift</h3>
+    <select class="offer-type">
+      <option value="swap">Swap for one of their shifts</option>
+      <option value="giveaway">Give it away</option>
+    </select>
+    <select class="offer-mentor"></select>
+    <select class="offer-their-shift"></select>
+    <button class="offer-send">Send</button>
+    <button class="offer-cancel">Cancel</button>
+  `;
+
+  const typeSelect = form.querySelector(".offer-type");
+  const mentorSelect = form.querySelector(".offer-mentor");
+  const theirShiftSelect = form.querySelector(".offer-their-shift");
+  setOptions(mentorSelect, others.map((name) => [name, name]));
+
+  // Their shifts that aren't already part of another request
+  const fillTheirShifts = () => {
+    const theirShifts = savedSchedule.days.flatMap((d) =>
+      Object.entries(d.shifts)
+        .filter(([s, mentor]) => mentor === mentorSelect.value && !isShiftInOpenRequest(d.dayNumber, s))
+        .map(([s]) => ({ day: d, shift: s }))
+    );
+    setOptions(
+      theirShiftSelect,
+      theirShifts.map(({ day: d, shift: s }) => [`${d.dayNumber}|${s}`, `${formatDate(d.date)} ${formatShift(s)}`])
+    );
+    theirShiftSelect.style.display = typeSelect.value === "swap" ? "" : "none";
+  };
+  typeSelect.onchange = fillTheirShifts;
+  mentorSelect.onchange = fillTheirShifts;
+  fillTheirShifts();
+
+  form.querySelector(".offer-cancel").onclick = hideOfferForm;
+  form.querySelector(".offer-send").onclick = async () => {
+    const other = mentorSelect.value;
+    if (!other) return;
+
+    const request = {
+      campusId: CAMPUS_ID,
+      scheduleId: savedSchedule.id,
+      type: typeSelect.value,
+      from: { mentor: me, day: day.dayNumber, shift, date: formatDate(day.date) },
+      to: { mentor: other },
+      status: "proposed",
+      createdAt: new Date().toISOString(),
+    };
+    if (request.type === "swap") {
+      if (!theirShiftSelect.value) {
+        showToast(`${other} has no shift to swap`);
+        return;
+      }
+      const [theirDay, theirShift] = theirShiftSelect.value.split("|");
+      const dayInfo = savedSchedule.days.find((d) => d.dayNumber === parseInt(theirDay));
+      request.to = { mentor: other, day: dayInfo.dayNumber, shift: theirShift, date: formatDate(dayInfo.date) };
+    }
+
+    try {
+      const requestId = `${CAMPUS_ID}_${Date.now()}`;
+      await setDoc(doc(db, "swapRequests", requestId), request);
+      swapRequests.push({ id: requestId, ...request });
+      hideOfferForm();
+      render();
+      showToast(`Sent to ${other}`);
+    } catch (error) {
+      console.error("Error sending swap request:", error);
+      showToast("Error sending swap request");
+    }
+  };
+
+  form.classList.remove("hidden");
+}
+
+function hideOfferForm() {
+  const form = document.getElementById("offer-form");
+  form.classList.add("hidden");
+  form.innerHTML = "";
+}
+
+function describeRequest(request) {
+  const from = `${request.from.mentor} (${request.from.date} ${formatShift(request.from.shift)})`;
+  return request.type === "swap"
+    ? `${from} ⇄ ${request.to.mentor} (${request.to.date} ${formatShift(request.to.shift)})`
+    : `${from} → ${request.to.mentor}`;
+}
+
+// My requests on the shown schedule, with the actions open to me
+function renderSwapList() {
+  const list = document.getElementById("swap-list");
+  list.innerHTML = "";
+  if (!me || !savedSchedule) return;
+
+  const mine = swapRequests
+    .filter((r) => r.scheduleId === savedSchedule.id && (r.from.mentor === me || r.to.mentor === me))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  if (mine.length === 0) return;
+
+  const statusText = {
+    proposed: "Waiting for the other mentor",
+    accepted: "Waiting for admin approval",
+    approved: "Approved",
+    rejected: "Rejected by admin",
+    declined: "Declined",
+    cancelled: "Cancelled",
+  };
+
+  const heading = document.createElement("h3");
+  heading.textContent = "My swap requests";
+  list.appendChild(heading);
+
+  for (const request of mine) {
+    const entry = document.createElement("div");
+    entry.className = "swap-entry";
+    entry.textContent = `${describeRequest(request)}: ${statusText[request.status] || request.status} `;
+
+    const addButton = (label, status) => {
+      const button = document.createElement("button");
+      button.textContent = label;
+      button.onclick = () => updateSwapStatus(request, status);
+      entry.appendChild(button);
+    };
+    if (request.status === "proposed" && request.to.mentor === me) {
+      addButton("Accept", "accepted");
+      addButton("Decline", "declined");
+    }
+    if (OPEN_STATUSES.includes(request.status) && request.from.mentor === me) {
+      addButton("Cancel", "cancelled");
+    }
+    list.appendChild(entry);
+  }
+}
+
+async function updateSwapStatus(request, status) {
+  const updated = { ...request, status };
+  delete updated.id;
+  if (status === "accepted") {
+    updated.acceptedAt = new Date().toISOString();
+  } else {
+    updated.decidedAt = new Date().toISOString();
+  }
+
+  try {
+    await setDoc(doc(db, "swapRequests", request.id), updated);
+    Object.assign(request, updated);
+    render();
+    showToast(status === "accepted" ? "Accepted - an admin will approve the swap" : `Request ${status}`);
+  } catch (error) {
+    console.error("Error updating swap request:", error);
+    showToast("Error updating swap request");
+  }
+}
+
+function render() {
+  renderSchedule();
+  renderSwapList();
+}
+
+export async function createScheduleView() {
+  await loadMentorList();
+  await loadScheduleList();
+  await loadSwapRequests();
+
+  document.getElementById("campus-name").textContent = `${CAMPUS_ID}`;
+
+  const scheduleSelect = document.getElementById("schedule-select");
+  setOptions(scheduleSelect, schedules.map((s) => [s.id, getScheduleName(s)]));
+  scheduleSelect.onchange = async () => {
+    hideOfferForm();
+    await loadSchedule(scheduleSelect.value);
+    render();
+  };
+
+  const meSelect = document.getElementById("me-select");
+  setOptions(meSelect, [["", "-"], ...mentors.map((name) => [name, name])]);
+  meSelect.onchange = () => {
+    me = meSelect.value;
+    hideOfferForm();
+    render();
+  };
+
+  if (schedules.length > 0) {
+    await loadSchedule(schedules[0].id);
+  }
+  render();
+}
@@ -0,0 +1,189 @@
+#!/usr/bin/env node
+// Headless scheduler: run scheduler.js from Node with a JSON input file, no browser or Firebase needed
+//
+// Usage: node scheduler-cli.js <input.json> [--format json|csv] [--out <path>]
+//
+// JSON is written to --out, or to stdout. CSV needs --out and writes three files:
+// <out>-schedule.csv, <out>-findings.csv and <out>-mentors.csv.
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import { parseArgs } from 'node:util';
+import { Schedule, formatDateKey, parseDateKey } from './scheduler.js';
+
+const USAGE = 'Usage: node scheduler-cli.js <input.json> [--format json|csv] [--out <path>]';
+
+/**
+ * Build the mentorInfo passed to Schedule, with each mentor's days off taken from the timeOff document
+ * The timeOff days are days of its month ({ year, month } in the input, 1-12); for a custom range
+ * they are turned into dates so they only match that month.
+ * @param {Object} input
+ * @returns {Object}
+ */
+function buildMentorInfo(input) {
+  const timeOff = input.timeOff || {};
+  const toDate = (day) => {
+    if (!input.range || !timeOff.year || !timeOff.month) return parseInt(day);
+    return formatDateKey(new Date(timeOff.year, timeOff.month - 1, parseInt(day)));
+  };
+
+  const mentorInfo = structuredClone(input.mentorInfo || {});
+  for (const [name, info] of Object.entries(mentorInfo)) {
+    info.hard_dates = Object.entries(timeOff.mentors || {})
+      .filter(([, names]) => Array.isArray(names) && names.includes(name))
+      .map(([day]) => toDate(day));
+    info.partial_dates = {};
+    for (const [day, limits] of Object.entries(timeOff.partial || {})) {
+      if (limits && limits[name]) info.partial_dates[toDate(day)] = limits[name];
+    }
+  }
+  return mentorInfo;
+}
+
+/**
+ * Create the schedule described by an input file
+ * @param {Object} input - { year, month, range, seasonalShiftInfo, mentorInfo, timeOff, holidays, options }
+ * @returns {Schedule}
+ */
+function runSchedule(input) {
+  const options = { ...(input.options || {}), range: input.range || null };
+  // Dates arrive as 'YYYY-MM-DD' strings in JSON
+  options.adjacentShifts = (options.adjacentShifts || []).map(shift => ({ ...shift, date: parseDateKey(shift.date) }));
+
+  let { year, month } = input;
+  if (input.range) {
+    const start = parseDateKey(input.range.start);
+    year = start.getFullYear();
+    month = start.getMonth() + 1;
+  }
+  if (!year || !month) {
+    throw new Error('Input needs year and month, or a range');
+  }
+
+  return new Schedule(
+    year,
+    month,
+    15, // Pay period length
+    input.seasonalShiftInfo,
+    buildMentorInfo(input),
+    input.holidays || { shift_info: {}, dates: [] },
+    options
+  );
+}
+
+/**
+ * Collect the schedule, findings and per-mentor stats as plain data
+ * @param {Schedule} schedule
+ * @returns {Object}
+ */
+function summarize(schedule) {
+  const saturdays = schedule.getSaturdayCounts();
+
+  return {
+    start: formatDateKey(schedule.startDate),
+    end: formatDateKey(schedule.endDate),
+    seed: schedule.seed,
+    solver: schedule.options.solver,
+    score: schedule.scoreSchedule(),
+    days: schedule.days.map(day => ({
+      date: formatDateKey(day.date),
+      dayNumber: day.dayNumber,
+      weekday: day.weekdayName,
+      season: day.season,
+      holiday: day.isHoliday,
+      shifts: Object.fromEntries(Object.entries(day.shifts).map(([shiftName, hours]) => [
+        shiftName,
+        { hours, mentor: day.assignments[shiftName]?.name ?? null },
+      ])),
+    })),
+    findings: schedule.findings,
+    mentors: schedule.mentors.map(mentor => ({
+      name: mentor.name,
+      hoursAssigned: mentor.hoursAssigned,
+      target: mentor.getTargetHours(schedule.numWeeksInMonth),
+      percentOfTarget: mentor.getPercentageOfTarget(schedule.numWeeksInMonth),
+      shifts: mentor.daysWorked.size,
+      daysWorked: [...mentor.daysWorked].sort((a, b) => a - b),
+      hoursPerPayPeriod: mentor.hoursPerPayPeriod,
+      hoursPerWeek: mentor.hoursPerWeek,
+      saturdays: saturdays.get(mentor),
+    })),
+    log: schedule.validationMessages,
+  };
+}
+
+/**
+ * Format rows as CSV, quoting every field that needs it
+ * @param {string[]} header
+ * @param {Array<Array>} rows
+ * @returns {string}
+ */
+function toCsv(header, rows) {
+  const field = (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [header, ...rows].map(row => row.map(field).join(',')).join('\n') + '\n';
+}
+
+/**
+ * Write a summary as three CSV files
+ * @param {Object} result - From summarize
+ * @param {string} out - Path prefix
+ */
+function writeCsv(result, out) {
+  const scheduleRows = result.days.flatMap(day =>
+    Object.entries(day.shifts).map(([shiftName, { hours, mentor }]) =>
+      [day.date, day.weekday, day.season, shiftName, hours, mentor]
+    )
+  );
+  writeFileSync(`${out}-schedule.csv`, toCsv(['date', 'weekday', 'season', 'shift', 'hours', 'mentor'], scheduleRows));
+
+  const findingRows = result.findings.map(f => [f.severity, f.code, f.day, f.shift, f.mentor, f.message]);
+  writeFileSync(`${out}-findings.csv`, toCsv(['severity', 'code', 'day', 'shift', 'mentor', 'message'], findingRows));
+
+  const mentorRows = result.mentors.map(m => [
+    m.name,
+    m.hoursAssigned,
+    m.target.toFixed(1),
+    m.percentOfTarget.toFixed(0),
+    m.shifts,
+    m.saturdays,
+    Object.entries(m.hoursPerPayPeriod).map(([key, hours]) => `${key}: ${hours}`).join('; '),
+  ]);
+  writeFileSync(`${out}-mentors.csv`, toCsv(
+    ['mentor', 'hours', 'target', 'percent_of_target', 'shifts', 'saturdays', 'hours_per_pay_period'],
+    mentorRows
+  ));
+}
+
+function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      format: { type: 'string', default: 'json' },
+      out: { type: 'string' },
+    },
+  });
+
+  if (positionals.length !== 1 || !['json', 'csv'].includes(values.format)) {
+    console.error(USAGE);
+    process.exit(2);
+  }
+  if (values.format === 'csv' && !values.out) {
+    console.error('CSV output needs --out <path>');
+    process.exit(2);
+  }
+
+  const input = JSON.parse(readFileSync(positionals[0], 'utf8'));
+  const result = summarize(runSchedule(input));
+
+  if (values.format === 'csv') {
+    writeCsv(result, values.out);
+  } else if (values.out) {
+    writeFileSync(values.out, JSON.stringify(result, null, 2) + '\n');
+  } else {
+    process.stdout.write(JSON.stringify(result, null, 2) + '\n');
+  }
+}
+
+main();
@@ -1,34 +1,117 @@
 // Rebuilt scheduler - Clean implementation
 
 /**
- * Calculate which pay period a date falls into
- * Pay periods are 2 weeks, starting January 1st of the year
- * @param {Date} date - The date to check
- * @returns {number} - Pay period number (1-indexed)
+ * Default overtime cap (hours per pay period) for each pay-period type
  */
-function getPayPeriodNumber(date) {
-  const year = date.getFullYear();
-  const startOfYear = new Date(year, 0, 1); // January 1st
-  const daysSinceStart = Math.floor((date - startOfYear) / (1000 * 60 * 60 * 24));
-  return Math.floor(daysSinceStart / 14) + 1;
+const DEFAULT_OVERTIME_CAPS = {
+  biweekly: 80,
+  semimonthly: 86,
+  weekly: 40,
+};
+
+/**
+ * Pay-period policy used when a campus has not configured one
+ * type: 'biweekly' (14 days from anchorDate), 'semimonthly' (1-15 / 16-end) or 'weekly' (7 days from anchorDate)
+ */
+const DEFAULT_PAY_PERIOD_POLICY = {
+  type: 'biweekly',
+  anchorDate: '2026-01-01', // Any date a pay period starts on (YYYY-MM-DD)
+  overtimeCap: DEFAULT_OVERTIME_CAPS.biweekly,
+};
+
+/**
+ * Format a date as a local YYYY-MM-DD key
+ * @param {Date} date 
+ * @returns {string}
+ */
+function formatDateKey(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
 }
 
 /**
- * Get the start and end dates of a pay period
- * @param {number} year - The year
- * @param {number} payPeriodNum - Pay period number (1-indexed)
- * @returns {{start: Date, end: Date}}
+ * Parse a YYYY-MM-DD string as a local date
+ * @param {string} dateKey 
+ * @returns {Date}
  */
-function getPayPeriodDates(year, payPeriodNum) {
-  const startOfYear = new Date(year, 0, 1);
-  const startDay = (payPeriodNum - 1) * 14;
-  const start = new Date(startOfYear);
-  start.setDate(start.getDate() + startDay);
+function parseDateKey(dateKey) {
+  const [year, month, day] = dateKey.split('-').map(n => parseInt(n));
+  return new Date(year, month - 1, day);
+}
+
+/**
+ * Whole days since the epoch, ignoring time of day and daylight saving
+ * @param {Date} date 
+ * @returns {number}
+ */
+function toDayNumber(date) {
+  return Math.floor(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()) / (1000 * 60 * 60 * 24));
+}
+
+/**
+ * Find the pay period a date falls into under a campus pay-period policy
+ * Pay periods are identified by the key of their first day, so they never
+ * reset at New Year and can span month and year boundaries.
+ * @param {Date} date - The date to check
+ * @param {Object} [policy] - Pay-period policy (see DEFAULT_PAY_PERIOD_POLICY)
+ * @returns {{key: string, start: Date, end: Date}}
+ */
+function getPayPeriod(date, policy = DEFAULT_PAY_PERIOD_POLICY) {
+  const year = date.getFullYear();
+  const month = date.getMonth();
+  let start;
+  let end;
   
-  const end = new Date(start);
-  end.setDate(end.getDate() + 13); // 14 days total (0-13)
+  switch (policy.type) {
+    case 'semimonthly':
+      if (date.getDate() <= 15) {
+        start = new Date(year, month, 1);
+        end = new Date(year, month, 15);
+      } else {
+        start = new Date(year, month, 16);
+        end = new Date(year, month + 1, 0);
+      }
+      break;
+    case 'biweekly':
+    case 'weekly': {
+      const length = policy.type === 'weekly' ? 7 : 14;
+      const anchor = parseDateKey(policy.anchorDate || DEFAULT_PAY_PERIOD_POLICY.anchorDate);
+      const periodIndex = Math.floor((toDayNumber(date) - toDayNumber(anchor)) / length);
+      start = new Date(anchor.getFullYear(), anchor.getMonth(), anchor.getDate() + periodIndex * length);
+      end = new Date(start.getFullYear(), start.getMonth(), start.getDate() + length - 1);
+      break;
+    }
+    default:
+      throw new Error(`Unknown pay period type: ${policy.type}`);
+  }
   
-  return { start, end };
+  return { key: formatDateKey(start), start, end };
+}
+
+/**
+ * Get the overtime cap for a pay-period policy
+ * @param {Object} [policy] 
+ * @returns {number}
+ */
+function getOvertimeCap(policy = DEFAULT_PAY_PERIOD_POLICY) {
+  return policy.overtimeCap || DEFAULT_OVERTIME_CAPS[policy.type] || DEFAULT_OVERTIME_CAPS.biweekly;
+}
+
+/**
+ * Create a seeded pseudo-random number generator (mulberry32)
+ * @param {number} seed 
+ * @returns {Function} - Returns floats in [0, 1), like Math.random
+ */
+function createSeededRandom(seed) {
+  let state = seed >>> 0;
+  return function () {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
 }
 
 /**
@@ -50,93 +133,458 @@ function getWeekKey(date) {
   return `${year}-W${String(weekNum).padStart(2, '0')}`;
 }
 
+/**
+ * Penalty weights used to score a finished schedule (lower total = better)
+ */
+const SCORE_WEIGHTS = {
+  hoursDeviation: 1, // Per hour away from a mentor's monthly target
+  underMinimum: 3, // Per hour below a mentor's minimum, on top of hoursDeviation
+  preferenceMiss: 5, // Per wanted preferred weekday not worked
+  softDate: 10, // Per shift worked on a soft date
+  saturdayImbalance: 5, // Per Saturday A/B shift a mentor is away from the average (rotation only)
+  pairingShortfall: 20, // Per night two mentors who must overlap are short of working together
+  avoidedShift: 3, // Per shift worked of a type the mentor avoids
+  unpreferredShift: 1, // Per shift worked outside the types a mentor prefers (only for mentors who prefer some)
+  unfilled: 100, // Per shift left empty
+};
+
+/**
+ * Configurable campus rules (null = no limit)
+ */
+const DEFAULT_SCHEDULING_RULES = {
+  maxHoursPerWeek: null, // Hard: max hours in a calendar week (Sunday-Saturday)
+  maxConsecutiveDays: null, // Hard: max days worked in a row
+  requireWeekendOff: false, // Soft: keep at least one full Saturday+Sunday off per month
+  saturdayRotation: false, // Spread Saturday A/B shifts evenly, counting previous months
+  saturdayHistoryMonths: 3, // How many previous saved months count toward the rotation
+  isolatedDayOffWeight: 2, // Soft: score per single day off between two worked days (0 = off)
+  loneWorkdayWeight: 5, // Soft: score per lone day worked between two days off, one of them requested off (0 = off)
+};
+
+/**
+ * Finding severities, most to least serious
+ */
+const FINDING_SEVERITIES = ['error', 'warning', 'info'];
+
+/**
+ * Shifts shared out by the Saturday rotation (the long 11-hour shifts)
+ */
+const SATURDAY_ROTATION_SHIFTS = ['a_shift', 'b_shift', 'holiday_a_shift', 'holiday_b_shift'];
+
+/**
+ * Shift-type preference ranks: lower is picked first
+ */
+const SHIFT_PREFERENCE_RANKS = { prefer: 0, neutral: 1, avoid: 2 };
+
+/**
+ * Get the type of a shift: holiday shifts count as the regular shift they replace
+ * @param {string} shiftName 
+ * @returns {string}
+ */
+function getShiftType(shiftName) {
+  return shiftName.replace(/^holiday_/, '');
+}
+
+/**
+ * Rules force fill may break, loosened one level at a time until a mentor fits
+ * Requested days off, partial-day availability, unavailable weekdays, one shift per day,
+ * the pay-period cap and each mentor's own weekly maximum are never broken.
+ */
+const FORCE_FILL_LEVELS = [
+  { allowSoftDates: false, relaxRules: [] },
+  { allowSoftDates: true, relaxRules: [] },
+  { allowSoftDates: true, relaxRules: ['no_weekend_off'] },
+  { allowSoftDates: true, relaxRules: ['no_weekend_off', 'weekly_hours_limit', 'max_consecutive_days'] },
+];
+
+/**
+ * Longest time the optimized solver may spend on one schedule
+ */
+const MAX_TIME_BUDGET_MS = 60000;
+
+/**
+ * How long the optimized solver searches before generateScheduleAsync lets the page respond
+ */
+const OPTIMIZER_CHUNK_MS = 50;
+
+/**
+ * Default options for Schedule generation
+ */
+const DEFAULT_SCHEDULE_OPTIONS = {
+  solver: 'greedy', // 'greedy' or 'optimized'
+  timeBudgetMs: 2000, // Time the optimized solver may spend improving the schedule (at most MAX_TIME_BUDGET_MS)
+  adjacentShifts: [], // Shifts from saved neighbouring months: [{ date: Date, mentorName, hours }]
+  payPeriodPolicy: DEFAULT_PAY_PERIOD_POLICY, // Campus pay-period policy
+  rules: DEFAULT_SCHEDULING_RULES, // Campus scheduling rules
+  shiftQualifications: {}, // Qualifications each shift type requires: { b_shift: ['meds'] }
+  saturdayHistory: {}, // Saturday A/B shifts worked in previous months: { mentorName: count }
+  seed: null, // Seed for randomized tie-breaking (null = deterministic, in mentorInfo order)
+  range: null, // Schedule any dates instead of the month: { start: 'YYYY-MM-DD', end: 'YYYY-MM-DD' }
+  lockedAssignments: [], // Assignments fixed by the admin, applied before phase 1: [{ day, shift, mentorName }]
+  dayShifts: null, // Shift hours per day overriding the seasonal template: { dayNumber: { shiftName: hours } }
+  shiftEndTimes: {}, // When each shift ends, as 24-hour 'HH:MM': { Monday: { a_shift: '22:00', c_shift: '20:00' } }
+  shortShifts: ['c_shift'], // Shifts a mentor marked "only short shifts" can still work
+  generate: true, // False builds the days and mentors without assigning anyone (see validateSchedule)
+};
+
+/**
+ * Binary min-heap: pop() returns the item the comparator puts first
+ */
+class PriorityQueue {
+  /**
+   * @param {Function} compare - (a, b) => negative if a should come out before b
+   */
+  constructor(compare) {
+    this.compare = compare;
+    this.items = [];
+  }
+  
+  get size() {
+    return this.items.length;
+  }
+  
+  /**
+   * @param {*} item 
+   */
+  push(item) {
+    const items = this.items;
+    items.push(item);
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (this.compare(items[i], items[parent]) >= 0) break;
+      [items[i], items[parent]] = [items[parent], items[i]];
+      i = parent;
+    }
+  }
+  
+  /**
+   * @returns {*} - The first item, or undefined if empty
+   */
+  pop() {
+    const items = this.items;
+    if (items.length === 0) return undefined;
+    const first = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let i = 0;
+      while (true) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < items.length && this.compare(items[left], items[smallest]) < 0) smallest = left;
+        if (right < items.length && this.compare(items[right], items[smallest]) < 0) smallest = right;
+        if (smallest === i) break;
+        [items[i], items[smallest]] = [items[smallest], items[i]];
+        i = smallest;
+      }
+    }
+    return first;
+  }
+}
+
 /**
  * Mentor class - represents a mentor and their scheduling constraints
  */
 class Mentor {
-  constructor(name, hoursWantedPerWeek, unavailableDates, unavailableWeekdays, preferredWeekday) {
+  constructor(name, hoursWantedPerWeek, unavailableDates, unavailableWeekdays, preferredWeekdays, softDates, preferredDaysPerWeek, qualifications) {
     this.name = name;
     this.hoursWantedPerWeek = hoursWantedPerWeek;
     this.hoursWanted = hoursWantedPerWeek; // Alias for compatibility
-    this.unavailableDates = unavailableDates.map(d => parseInt(d)); // Days of month they can't work
+    this.unavailableDates = unavailableDates.map(d => parseInt(d)); // Day numbers they can't work
     this.hardDates = this.unavailableDates; // Alias for compatibility
     this.unavailableWeekdays = unavailableWeekdays || []; // Weekday names they can't work
-    this.preferredWeekday = preferredWeekday || null; // Weekday name they prefer
-    this.preferredWeekdays = preferredWeekday ? [preferredWeekday] : []; // Alias for compatibility
+    this.preferredWeekdays = preferredWeekdays || []; // Weekday names they prefer, best first
+    this.preferredWeekday = this.preferredWeekdays[0] || null; // Top choice, for compatibility
+    // How many preferred weekdays they want each week (defaults to all of them)
+    this.preferredDaysPerWeek = Math.min(
+      preferredDaysPerWeek || this.preferredWeekdays.length,
+      this.preferredWeekdays.length
+    );
+    this.softDates = (softDates || []).map(d => parseInt(d)); // Day numbers they'd rather not work
+    this.partialAvailability = {}; // { dayNumber: { until: 'HH:MM' } or { short_only: true } }, set by Schedule
+    this.neverWith = new Set(); // Names of mentors never scheduled on the same day, set by Schedule
+    this.mustOverlap = null; // { mentor: name, times: n } nights they must work alongside another mentor, set by Schedule
+    this.qualifications = qualifications || []; // e.g. ['meds', 'driver']
+    this.shiftPreferences = {}; // { shiftType: 'prefer' | 'avoid' } (missing = neutral), set by Schedule
+    this.shiftCaps = {}; // { shiftType: max shifts per month }, set by Schedule
+    this.employmentStart = null; // First day number employed (null = employed before the schedule), set by Schedule
+    this.employmentEnd = null; // Last day number employed (null = employed past the schedule), set by Schedule
+    this.availableShare = 1; // Share of their usual days in the schedule they are available, scales targets; set by Schedule
     
     // Tracking
-    this.hoursAssigned = 0; // Total hours assigned this month
+    this.hoursAssigned = 0; // Total hours assigned in the schedule
     this.hoursPay = 0; // Alias for compatibility
-    this.hoursPerPayPeriod = {}; // { payPeriodNum: hours }
+    this.hoursPerPayPeriod = {}; // { payPeriodKey: hours }
+    this.payPeriodHourCap = DEFAULT_OVERTIME_CAPS.biweekly; // Set by Schedule from the pay-period policy
+    this.maxHoursPerWeek = null; // Set by Schedule from the campus rules
+    this.minHoursPerWeek = null; // Mentor's own weekly minimum (null = none), set by Schedule
+    this.personalMaxHoursPerWeek = null; // Mentor's own weekly hard maximum (null = none), set by Schedule
+    this.maxConsecutiveDays = null; // Set by Schedule from the campus rules
     this.hoursPerWeek = {}; // { weekKey: hours }
+    this.carriedHoursPerPayPeriod = {}; // { payPeriodKey: hours } worked in adjacent months
     this.daysWorked = new Set(); // Set of day numbers worked
+    this.shiftTypeCounts = {}; // { 'monthKey|shiftType': shifts worked }
+    this.adjacentDaysWorked = new Set(); // Days worked outside the schedule, numbered relative to it (0 = the day before it starts)
     
     // For compatibility
-    this.softDates = [];
     this.daysLeft = 0;
   }
   
   /**
    * Check if mentor can legally work a shift
-   * @param {number} dayOfMonth - Day number
+   * @param {number} dayNumber - Day number within the schedule (the day of the month for monthly schedules)
    * @param {string} weekdayName - Name of weekday (Monday, Tuesday, etc.)
    * @param {number} shiftHours - Hours for this shift
-   * @param {number} payPeriodNum - Current pay period number
-   * @returns {{canWork: boolean, reason: string|null}}
+   * @param {string} payPeriodKey - Current pay period key
+   * @param {string} weekKey - Current calendar week key
+   * @param {Object} [options]
+   * @param {boolean} [options.allowSoftDates=false] - Allow working on soft dates (force-fill only)
+   * @param {string[]} [options.relaxRules=[]] - Reason codes that may be broken (force-fill only)
+   * @param {string[]} [options.requiredQualifications=[]] - Qualifications the shift requires
+   * @param {string|null} [options.shiftEnd=null] - When the shift ends ('HH:MM'), if known
+   * @param {boolean} [options.shortShift=false] - Whether the shift is a short shift
+   * @param {string|null} [options.shiftType=null] - Type of the shift (see getShiftType)
+   * @param {string|null} [options.monthKey=null] - Calendar month of the day, for monthly shift-type caps
+   * @returns {{canWork: boolean, reason: string|null, violations: string[]}}
    */
-  canWork(dayOfMonth, weekdayName, shiftHours, payPeriodNum) {
+  canWork(dayNumber, weekdayName, shiftHours, payPeriodKey, weekKey, options = {}) {
+    const relaxRules = options.relaxRules || [];
+    const violations = [];
+    
+    // Rule: Only while employed
+    if (!this.isEmployedOn(dayNumber)) {
+      return { canWork: false, reason: 'not_employed', violations };
+    }
+    
     // Rule: No working on requested days off
-    if (this.unavailableDates.includes(dayOfMonth)) {
-      return { canWork: false, reason: 'requested_off' };
+    if (this.unavailableDates.includes(dayNumber)) {
+      return { canWork: false, reason: 'requested_off', violations };
+    }
+    
+    // Rule: Partial days off (only short shifts, or gone after a set time)
+    if (!this.fitsPartialAvailability(dayNumber, options.shiftEnd, options.shortShift)) {
+      return { canWork: false, reason: 'partial_availability', violations };
     }
     
     // Rule: No working on unavailable weekdays
     if (this.unavailableWeekdays.includes(weekdayName)) {
-      return { canWork: false, reason: 'unavailable_weekday' };
+      return { canWork: false, reason: 'unavailable_weekday', violations };
+    }
+    
+    // Rule: Must hold every qualification the shift requires
+    if (this.getMissingQualifications(options.requiredQualifications).length > 0) {
+      return { canWork: false, reason: 'missing_qualification', violations };
     }
     
     // Rule: Only 1 shift per day
-    if (this.daysWorked.has(dayOfMonth)) {
-      return { canWork: false, reason: 'already_working_today' };
+    if (this.daysWorked.has(dayNumber)) {
+      return { canWork: false, reason: 'already_working_today', violations };
+    }
+    
+    // Rule: Max hours per pay period (80 for biweekly, set by the pay-period policy)
+    const currentPayPeriodHours = this.hoursPerPayPeriod[payPeriodKey] || 0;
+    if (currentPayPeriodHours + shiftHours > this.payPeriodHourCap) {
+      return { canWork: false, reason: 'pay_period_limit', violations };
+    }
+    
+    // Rule: Mentor's own weekly maximum (never relaxed, unlike the campus cap below)
+    const currentWeekHours = this.hoursPerWeek[weekKey] || 0;
+    if (this.personalMaxHoursPerWeek !== null && currentWeekHours + shiftHours > this.personalMaxHoursPerWeek) {
+      return { canWork: false, reason: 'mentor_max_hours', violations };
+    }
+    
+    // Rule: Mentor's own monthly cap on this shift type (never relaxed)
+    if (options.shiftType && this.getShiftTypeCount(options.monthKey, options.shiftType) >= (this.shiftCaps[options.shiftType] ?? Infinity)) {
+      return { canWork: false, reason: 'shift_type_cap', violations };
+    }
+    
+    // Rule: Max hours per calendar week (campus setting)
+    if (this.maxHoursPerWeek !== null && currentWeekHours + shiftHours > this.maxHoursPerWeek) {
+      if (!relaxRules.includes('weekly_hours_limit')) {
+        return { canWork: false, reason: 'weekly_hours_limit', violations };
+      }
+      violations.push('weekly_hours_limit');
     }
     
-    // Rule: Max 80 hours per pay period
-    const currentPayPeriodHours = this.hoursPerPayPeriod[payPeriodNum] || 0;
-    if (currentPayPeriodHours + shiftHours > 80) {
-      return { canWork: false, reason: '80hr_limit' };
+    // Rule: Max consecutive days worked (campus setting)
+    if (this.maxConsecutiveDays !== null && this.getConsecutiveRun(dayNumber) > this.maxConsecutiveDays) {
+      if (!relaxRules.includes('max_consecutive_days')) {
+        return { canWork: false, reason: 'max_consecutive_days', violations };
+      }
+      violations.push('max_consecutive_days');
+    }
+    
+    // Soft rule: Avoid soft dates unless explicitly allowed
+    if (!options.allowSoftDates && this.isSoftDate(dayNumber)) {
+      return { canWork: false, reason: 'soft_date', violations };
     }
     
-    return { canWork: true, reason: null };
+    return { canWork: true, reason: null, violations };
+  }
+  
+  /**
+   * Check a shift against the mentor's partial availability that day
+   * A shift with no known end time never fits an "unavailable after" limit.
+   * @param {number} dayNumber 
+   * @param {string|null} shiftEnd - When the shift ends ('HH:MM')
+   * @param {boolean} shortShift 
+   * @returns {boolean}
+   */
+  fitsPartialAvailability(dayNumber, shiftEnd, shortShift) {
+    const limit = this.partialAvailability[dayNumber];
+    if (!limit) return true;
+    if (limit.short_only && !shortShift) return false;
+    if (limit.until && (!shiftEnd || shiftEnd > limit.until)) return false;
+    return true;
+  }
+  
+  /**
+   * Get the required qualifications this mentor does not hold
+   * @param {string[]} [requiredQualifications] 
+   * @returns {string[]}
+   */
+  getMissingQualifications(requiredQualifications = []) {
+    return requiredQualifications.filter(q => !this.qualifications.includes(q));
+  }
+  
+  /**
+   * Length of the run of consecutive days worked if this day were added
+   * @param {number} dayNumber 
+   * @returns {number}
+   */
+  getConsecutiveRun(dayNumber) {
+    const worked = (d) => this.daysWorked.has(d) || this.adjacentDaysWorked.has(d);
+    let run = 1;
+    for (let d = dayNumber - 1; worked(d); d--) run++;
+    for (let d = dayNumber + 1; worked(d); d++) run++;
+    return run;
+  }
+  
+  /**
+   * Check if a day falls within the mentor's employment dates
+   * @param {number} dayNumber 
+   * @returns {boolean}
+   */
+  isEmployedOn(dayNumber) {
+    return (this.employmentStart === null || dayNumber >= this.employmentStart) &&
+      (this.employmentEnd === null || dayNumber <= this.employmentEnd);
+  }
+  
+  /**
+   * Check if a day is one the mentor asked for off (a requested date or a soft date)
+   * @param {number} dayNumber 
+   * @returns {boolean}
+   */
+  isRequestedOff(dayNumber) {
+    return this.unavailableDates.includes(dayNumber) || this.isSoftDate(dayNumber);
+  }
+  
+  /**
+   * Check if a day is one the mentor would rather not work
+   * @param {number} dayNumber 
+   * @returns {boolean}
+   */
+  isSoftDate(dayNumber) {
+    return this.softDates.includes(dayNumber);
+  }
+  
+  /**
+   * Rank of a shift by this mentor's shift-type preference (0 = preferred, 1 = neutral, 2 = avoided)
+   * @param {string} shiftName 
+   * @returns {number}
+   */
+  getShiftPreferenceRank(shiftName) {
+    return SHIFT_PREFERENCE_RANKS[this.shiftPreferences[getShiftType(shiftName)]] ?? SHIFT_PREFERENCE_RANKS.neutral;
+  }
+  
+  /**
+   * Get the number of shifts of a type worked in a calendar month
+   * @param {string} monthKey 
+   * @param {string} shiftType 
+   * @returns {number}
+   */
+  getShiftTypeCount(monthKey, shiftType) {
+    return this.shiftTypeCounts[`${monthKey}|${shiftType}`] || 0;
+  }
+  
+  /**
+   * Count a shift toward (or, with -1, take it off) the month's shift-type total
+   * @param {string} monthKey 
+   * @param {string} shiftName 
+   * @param {number} change - 1 or -1
+   */
+  countShiftType(monthKey, shiftName, change) {
+    const key = `${monthKey}|${getShiftType(shiftName)}`;
+    this.shiftTypeCounts[key] = (this.shiftTypeCounts[key] || 0) + change;
   }
   
   /**
    * Assign a shift to this mentor
-   * @param {number} dayOfMonth 
+   * @param {number} dayNumber 
    * @param {number} shiftHours 
-   * @param {number} payPeriodNum 
+   * @param {string} payPeriodKey 
    * @param {string} weekKey 
    */
-  assignShift(dayOfMonth, shiftHours, payPeriodNum, weekKey) {
+  assignShift(dayNumber, shiftHours, payPeriodKey, weekKey) {
     this.hoursAssigned += shiftHours;
     this.hoursPay = this.hoursAssigned; // Keep in sync
-    this.hoursPerPayPeriod[payPeriodNum] = (this.hoursPerPayPeriod[payPeriodNum] || 0) + shiftHours;
+    this.hoursPerPayPeriod[payPeriodKey] = (this.hoursPerPayPeriod[payPeriodKey] || 0) + shiftHours;
     this.hoursPerWeek[weekKey] = (this.hoursPerWeek[weekKey] || 0) + shiftHours;
-    this.daysWorked.add(dayOfMonth);
+    this.daysWorked.add(dayNumber);
+  }
+  
+  /**
+   * Count a shift worked outside the schedule toward shared pay periods, weeks and runs of days
+   * @param {number} shiftHours 
+   * @param {string|null} payPeriodKey - Null if the pay period is not in the schedule
+   * @param {string|null} weekKey - Null if the week is not in the schedule
+   * @param {number} relativeDay - Day number relative to the schedule (0 = the day before it starts)
+   */
+  addCarriedHours(shiftHours, payPeriodKey, weekKey, relativeDay) {
+    this.adjacentDaysWorked.add(relativeDay);
+    if (payPeriodKey !== null) {
+      this.hoursPerPayPeriod[payPeriodKey] = (this.hoursPerPayPeriod[payPeriodKey] || 0) + shiftHours;
+      this.carriedHoursPerPayPeriod[payPeriodKey] = (this.carriedHoursPerPayPeriod[payPeriodKey] || 0) + shiftHours;
+    }
+    if (weekKey !== null) {
+      this.hoursPerWeek[weekKey] = (this.hoursPerWeek[weekKey] || 0) + shiftHours;
+    }
   }
   
   /**
    * Remove a shift assignment from this mentor
-   * @param {number} dayOfMonth 
+   * @param {number} dayNumber 
    * @param {number} shiftHours 
-   * @param {number} payPeriodNum 
+   * @param {string} payPeriodKey 
    * @param {string} weekKey 
    */
-  removeShift(dayOfMonth, shiftHours, payPeriodNum, weekKey) {
+  removeShift(dayNumber, shiftHours, payPeriodKey, weekKey) {
     this.hoursAssigned -= shiftHours;
     this.hoursPay = this.hoursAssigned; // Keep in sync
-    this.hoursPerPayPeriod[payPeriodNum] = (this.hoursPerPayPeriod[payPeriodNum] || 0) - shiftHours;
+    this.hoursPerPayPeriod[payPeriodKey] = (this.hoursPerPayPeriod[payPeriodKey] || 0) - shiftHours;
     this.hoursPerWeek[weekKey] = (this.hoursPerWeek[weekKey] || 0) - shiftHours;
-    this.daysWorked.delete(dayOfMonth);
+    this.daysWorked.delete(dayNumber);
+  }
+  
+  /**
+   * Get the mentor's hours target for the schedule, pro-rated by the days they are available
+   * @param {number} numWeeksInMonth 
+   * @returns {number}
+   */
+  getTargetHours(numWeeksInMonth) {
+    return this.hoursWantedPerWeek * numWeeksInMonth * this.availableShare;
+  }
+  
+  /**
+   * Get the mentor's minimum hours for the schedule, pro-rated like the target (null = no minimum)
+   * @param {number} numWeeksInMonth 
+   * @returns {number|null}
+   */
+  getMinimumHours(numWeeksInMonth) {
+    if (this.minHoursPerWeek === null) return null;
+    return this.minHoursPerWeek * numWeeksInMonth * this.availableShare;
   }
   
   /**
@@ -145,8 +593,7 @@ class Mentor {
    * @returns {number}
    */
   getHoursDeficit(numWeeksInMonth) {
-    const targetTotal = this.hoursWantedPerWeek * numWeeksInMonth;
-    return Math.max(0, targetTotal - this.hoursAssigned);
+    return Math.max(0, this.getTargetHours(numWeeksInMonth) - this.hoursAssigned);
   }
   
   /**
@@ -155,26 +602,39 @@ class Mentor {
    * @returns {number}
    */
   getPercentageOfTarget(numWeeksInMonth) {
-    const targetTotal = this.hoursWantedPerWeek * numWeeksInMonth;
+    const targetTotal = this.getTargetHours(numWeeksInMonth);
     if (targetTotal === 0) return 100;
     return (this.hoursAssigned / targetTotal) * 100;
   }
+  
+  /**
+   * Get hours still needed to reach the mentor's minimum
+   * @param {number} numWeeksInMonth 
+   * @returns {number}
+   */
+  getMinimumDeficit(numWeeksInMonth) {
+    if (this.minHoursPerWeek === null) return 0;
+    return Math.max(0, this.getMinimumHours(numWeeksInMonth) - this.hoursAssigned);
+  }
 }
 
 /**
  * Day class - represents a single day with its shifts
  */
 class Day {
-  constructor(date, shifts, isHoliday = false) {
+  constructor(date, shifts, isHoliday = false, payPeriodPolicy = DEFAULT_PAY_PERIOD_POLICY) {
     this.date = date;
     this.dateInfo = date; // Alias for compatibility
     this.dayOfMonth = date.getDate();
+    this.dayNumber = this.dayOfMonth; // Position in the schedule (1 = first day), set by Schedule for date ranges
+    this.label = `${date.getMonth() + 1}/${this.dayOfMonth}`; // For messages
     this.weekday = date.getDay(); // 0 = Sunday
     this.weekdayName = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'][this.weekday];
     this.shifts = shifts; // { a_shift: hours, b_shift: hours, c_shift: hours }
     this.isHoliday = isHoliday;
-    this.payPeriodNum = getPayPeriodNumber(date);
+    this.payPeriodKey = getPayPeriod(date, payPeriodPolicy).key;
     this.weekKey = getWeekKey(date);
+    this.monthKey = `${date.getFullYear()}-${date.getMonth() + 1}`;
     
     // Assignments: { shiftName: Mentor | null }
     this.assignments = {};
@@ -192,9 +652,11 @@ class Day {
   
   /**
    * Get list of unfilled shifts, prioritizing A & B over C
+   * Given a mentor, the shift types they prefer come first and the ones they avoid last.
+   * @param {Mentor} [mentor] 
    * @returns {string[]}
    */
-  getUnfilledShifts() {
+  getUnfilledShifts(mentor = null) {
     const unfilled = [];
     const shiftOrder = ['a_shift', 'b_shift', 'holiday_a_shift', 'holiday_b_shift', 'c_shift'];
     
@@ -211,6 +673,10 @@ class Day {
       }
     }
     
+    // Stable sort, so A & B still come before C within a preference
+    if (mentor) {
+      unfilled.sort((a, b) => mentor.getShiftPreferenceRank(a) - mentor.getShiftPreferenceRank(b));
+    }
     return unfilled;
   }
   
@@ -232,7 +698,8 @@ class Day {
     this.mentorsOnShift[shiftName] = mentor; // Keep in sync
     const hours = this.shifts[shiftName];
     this.assignedHours += hours;
-    mentor.assignShift(this.dayOfMonth, hours, this.payPeriodNum, this.weekKey);
+    mentor.assignShift(this.dayNumber, hours, this.payPeriodKey, this.weekKey);
+    mentor.countShiftType(this.monthKey, shiftName, 1);
   }
   
   /**
@@ -244,7 +711,8 @@ class Day {
     if (mentor) {
       const hours = this.shifts[shiftName];
       this.assignedHours -= hours;
-      mentor.removeShift(this.dayOfMonth, hours, this.payPeriodNum, this.weekKey);
+      mentor.removeShift(this.dayNumber, hours, this.payPeriodKey, this.weekKey);
+      mentor.countShiftType(this.monthKey, shiftName, -1);
       this.assignments[shiftName] = null;
       this.mentorsOnShift[shiftName] = null;
     }
@@ -264,6 +732,14 @@ class Day {
     return false;
   }
   
+  /**
+   * Get every mentor assigned to this day
+   * @returns {Mentor[]}
+   */
+  getMentors() {
+    return Object.values(this.assignments).filter(mentor => mentor !== null);
+  }
+  
   /**
    * Get weekday name (for compatibility)
    * @returns {string}
@@ -277,10 +753,28 @@ class Day {
  * Schedule class - main scheduler
  */
 class Schedule {
-  constructor(year, month, lenP1, seasonalShiftInfo, mentorInfoData, holidays) {
+  constructor(year, month, lenP1, seasonalShiftInfo, mentorInfoData, holidays, options = {}) {
+    this.options = { ...DEFAULT_SCHEDULE_OPTIONS, ...options };
+    this.options.rules = { ...DEFAULT_SCHEDULING_RULES, ...this.options.rules };
+    this.options.timeBudgetMs = Math.min(Math.max(Number(this.options.timeBudgetMs) || 0, 0), MAX_TIME_BUDGET_MS);
+    this.seed = this.options.seed;
+    this.random = this.seed === null ? Math.random : createSeededRandom(this.seed);
     this.year = year;
-    this.month = month; // 1-indexed
+    this.month = month; // 1-indexed (the month of the first day for date ranges)
     this.lenP1 = lenP1; // For compatibility (not used in new logic)
+    
+    // Dates covered: the whole month, or any range such as a pay period or a 6-week summer block
+    if (this.options.range) {
+      this.startDate = parseDateKey(this.options.range.start);
+      this.endDate = parseDateKey(this.options.range.end);
+    } else {
+      this.startDate = new Date(year, month - 1, 1);
+      this.endDate = new Date(year, month, 0);
+    }
+    this.numDays = toDayNumber(this.endDate) - toDayNumber(this.startDate) + 1;
+    if (this.numDays < 1) {
+      throw new Error('Schedule range must end on or after its start date');
+    }
     this.seasonalShiftInfo = seasonalShiftInfo;
     
     // Ensure holidays has proper structure
@@ -288,42 +782,105 @@ class Schedule {
     if (!this.holidays.dates) this.holidays.dates = [];
     if (!this.holidays.shift_info) this.holidays.shift_info = {};
     
-    // Determine season
-    this.season = this.getSeason(month);
+    // Season of the first day (each day gets its own season in createDays)
+    this.season = this.getSeason(this.startDate);
     
-    // Calculate weeks in this month (for target calculations)
-    const daysInMonth = new Date(year, month, 0).getDate();
-    this.numWeeksInMonth = daysInMonth / 7;
-    this.lenP2 = daysInMonth - lenP1; // For compatibility
+    // Calculate weeks in the schedule (for target calculations; named for the monthly case).
+    // Each mentor's target is this many weeks of hours, pro-rated by the days they are available.
+    this.numWeeksInMonth = this.numDays / 7;
+    this.lenP2 = this.numDays - lenP1; // For compatibility
     
     // Create mentors
     this.mentors = this.createMentors(mentorInfoData);
     
+    // With a seed, shuffle mentor order so every tie is broken differently per seed
+    if (this.seed !== null) {
+      this.shuffle(this.mentors);
+    }
+    
     // Create days
     this.days = this.createDays();
     this.assignedDays = this.days; // Alias for compatibility
     
+    // Full Saturday+Sunday weekends inside the schedule: [[saturday, sunday], ...] as day numbers
+    this.weekends = this.days
+      .filter(d => d.weekday === 6 && d.dayNumber < this.days.length)
+      .map(d => [d.dayNumber, d.dayNumber + 1]);
+    
     // For compatibility with existing code
     this.m1 = this.mentors;
     this.m2 = this.mentors;
-    this.pay1 = this.days.filter(d => d.dayOfMonth <= 15);
-    this.pay2 = this.days.filter(d => d.dayOfMonth > 15);
+    this.pay1 = this.days.filter(d => d.dayNumber <= 15);
+    this.pay2 = this.days.filter(d => d.dayNumber > 15);
     
-    // Validation messages
+    // Validation messages (generation log) and structured findings (issues in the final schedule)
     this.validationMessages = [];
+    this.findings = [];
+    this.forcedAssignments = []; // Filled in by phase 3
+    this.lockedSlots = new Set(); // `${day}:${shift}` keys of locked assignments, never changed after they are applied
+    this.lockViolations = []; // Rules broken by locked assignments, reported with the findings
     
     // Run the scheduling algorithm
-    this.generateSchedule();
+    if (this.options.generate) {
+      this.generateSchedule();
+    }
+  }
+  
+  /**
+   * Shuffle an array in place using the schedule's random source
+   * @param {Array} items 
+   * @returns {Array}
+   */
+  shuffle(items) {
+    for (let i = items.length - 1; i > 0; i--) {
+      const j = Math.floor(this.random() * (i + 1));
+      [items[i], items[j]] = [items[j], items[i]];
+    }
+    return items;
+  }
+  
+  /**
+   * Determine the season of a date from the seasonal shift info's date ranges
+   * Ranges repeat every year (only month and day are compared) and may wrap past New Year.
+   * A season without dates is the default for days no range covers.
+   * @param {Date} date 
+   * @returns {string|null} - Season name, or null if no season applies
+   */
+  getSeason(date) {
+    const seasons = Object.entries(this.seasonalShiftInfo || {});
+    const monthDay = formatDateKey(date).slice(5); // 'MM-DD'
+    
+    for (const [name, info] of seasons) {
+      if (!info.dates || !info.dates.start || !info.dates.end) continue;
+      const start = info.dates.start.slice(5, 10);
+      const end = info.dates.end.slice(5, 10);
+      const inRange = start <= end
+        ? monthDay >= start && monthDay <= end
+        : monthDay >= start || monthDay <= end;
+      if (inRange) return name;
+    }
+    
+    const fallback = seasons.find(([, info]) => !info.dates);
+    return fallback ? fallback[0] : null;
   }
   
   /**
-   * Determine season based on month
-   * @param {number} month - 1-indexed month
+   * Describe which days fall in each season, e.g. "summer 7/1-7/31, winter 8/1-8/14"
    * @returns {string}
    */
-  getSeason(month) {
-    const summerMonths = [5, 6, 7]; // May, June, July
-    return summerMonths.includes(month) ? 'summer' : 'winter';
+  describeSeasons() {
+    const spans = [];
+    for (const day of this.days) {
+      const last = spans[spans.length - 1];
+      if (last && last.season === day.season) {
+        last.end = day;
+      } else {
+        spans.push({ season: day.season, start: day, end: day });
+      }
+    }
+    return spans
+      .map(({ season, start, end }) => `${season ?? 'no season'} ${start.label}-${end.label}`)
+      .join(', ');
   }
   
   /**
@@ -341,50 +898,174 @@ class Schedule {
       const mentor = new Mentor(
         name,
         info.hours_wanted || 0,
-        info.hard_dates || [],
+        this.toDayNumbers(info.hard_dates || []),
         info.weekdays || [],
-        info.preferred_weekdays && info.preferred_weekdays.length > 0 ? info.preferred_weekdays[0] : null
+        info.preferred_weekdays || [],
+        this.toDayNumbers(info.soft_dates || []),
+        info.preferred_days_per_week,
+        info.qualifications || []
       );
+      mentor.payPeriodHourCap = getOvertimeCap(this.options.payPeriodPolicy);
+      mentor.maxHoursPerWeek = this.options.rules.maxHoursPerWeek ?? null;
+      mentor.maxConsecutiveDays = this.options.rules.maxConsecutiveDays ?? null;
+      mentor.minHoursPerWeek = info.hours_min ?? null;
+      mentor.personalMaxHoursPerWeek = info.hours_max ?? null;
+      mentor.partialAvailability = this.toPartialAvailability(info.partial_dates || {});
+      mentor.shiftPreferences = info.shift_preferences || {};
+      mentor.shiftCaps = info.shift_caps || {};
+      mentor.employmentStart = info.start_date ? this.toRelativeDayNumber(info.start_date) : null;
+      mentor.employmentEnd = info.end_date ? this.toRelativeDayNumber(info.end_date) : null;
+      mentor.availableShare = this.getAvailableShare(mentor);
       
       mentors.push(mentor);
     }
     
+    // Pairing constraints only apply between mentors on this schedule; "never together" works both ways
+    const byName = new Map(mentors.map(m => [m.name, m]));
+    for (const mentor of mentors) {
+      const info = mentorInfoData[mentor.name];
+      for (const otherName of info.never_with || []) {
+        const other = byName.get(otherName);
+        if (!other || other === mentor) continue;
+        mentor.neverWith.add(other.name);
+        other.neverWith.add(mentor.name);
+      }
+      const overlap = info.must_overlap;
+      if (overlap && overlap.times > 0 && byName.has(overlap.mentor) && overlap.mentor !== mentor.name) {
+        mentor.mustOverlap = { mentor: overlap.mentor, times: overlap.times };
+      }
+    }
+    
     return mentors;
   }
   
   /**
-   * Create Day objects for the month
+   * Get the date of a day number (1 = the first day of the schedule)
+   * @param {number} dayNumber 
+   * @returns {Date}
+   */
+  getDateForDayNumber(dayNumber) {
+    return new Date(this.startDate.getFullYear(), this.startDate.getMonth(), this.startDate.getDate() + dayNumber - 1);
+  }
+  
+  /**
+   * Day number of a date relative to the schedule (0 = the day before it starts; may be outside it)
+   * @param {string} dateKey - 'YYYY-MM-DD'
+   * @returns {number}
+   */
+  toRelativeDayNumber(dateKey) {
+    return toDayNumber(parseDateKey(dateKey)) - toDayNumber(this.startDate) + 1;
+  }
+  
+  /**
+   * Share of a mentor's usual days in the schedule that they are available, for pro-rating their targets
+   * Usual days are those not on one of their unavailable weekdays. Days off on the calendar (approved
+   * time off) and days outside their employment dates are not available; partial days off still are.
+   * @param {Mentor} mentor 
+   * @returns {number} 0 to 1
+   */
+  getAvailableShare(mentor) {
+    let usualDays = 0;
+    let availableDays = 0;
+    for (let dayNumber = 1; dayNumber <= this.numDays; dayNumber++) {
+      const weekdayName = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'][this.getDateForDayNumber(dayNumber).getDay()];
+      if (mentor.unavailableWeekdays.includes(weekdayName)) continue;
+      usualDays++;
+      if (mentor.isEmployedOn(dayNumber) && !mentor.unavailableDates.includes(dayNumber)) availableDays++;
+    }
+    return usualDays === 0 ? 1 : availableDays / usualDays;
+  }
+  
+  /**
+   * Convert dates to day numbers within the schedule, dropping any outside it
+   * Numbers are days of the month and match that day in every month of the schedule
+   * (so monthly schedules are unchanged); 'YYYY-MM-DD' strings match a single date.
+   * @param {Array<number|string>} dates 
+   * @returns {number[]}
+   */
+  toDayNumbers(dates) {
+    const firstDayNumber = toDayNumber(this.startDate);
+    const dayNumbers = new Set();
+    
+    for (const value of dates) {
+      if (typeof value === 'string' && value.includes('-')) {
+        const dayNumber = toDayNumber(parseDateKey(value)) - firstDayNumber + 1;
+        if (dayNumber >= 1 && dayNumber <= this.numDays) dayNumbers.add(dayNumber);
+      } else {
+        const dayOfMonth = parseInt(value);
+        for (let dayNumber = 1; dayNumber <= this.numDays; dayNumber++) {
+          if (this.getDateForDayNumber(dayNumber).getDate() === dayOfMonth) dayNumbers.add(dayNumber);
+        }
+      }
+    }
+    
+    return [...dayNumbers].sort((a, b) => a - b);
+  }
+  
+  /**
+   * Key partial-day limits by day number, the same way toDayNumbers converts dates
+   * @param {Object} partialDates - { day of month or 'YYYY-MM-DD': { until: 'HH:MM' } or { short_only: true } }
+   * @returns {Object} - { dayNumber: limit }
+   */
+  toPartialAvailability(partialDates) {
+    const byDayNumber = {};
+    for (const [date, limit] of Object.entries(partialDates)) {
+      for (const dayNumber of this.toDayNumbers([date])) {
+        byDayNumber[dayNumber] = limit;
+      }
+    }
+    return byDayNumber;
+  }
+  
+  /**
+   * Get when a shift ends on a day ('HH:MM'), or null if unknown
+   * Holiday shifts end when the regular shift they replace does.
+   * @param {Day} day 
+   * @param {string} shiftName 
+   * @returns {string|null}
+   */
+  getShiftEndTime(day, shiftName) {
+    const endTimes = this.options.shiftEndTimes[day.weekdayName] || {};
+    return endTimes[shiftName] ?? endTimes[shiftName.replace(/^holiday_/, '')] ?? null;
+  }
+  
+  /**
+   * Create Day objects for every date in the schedule
    * @returns {Day[]}
    */
   createDays() {
     const days = [];
-    const daysInMonth = new Date(this.year, this.month, 0).getDate();
+    const holidayDayNumbers = this.toDayNumbers(this.holidays.dates);
     
-    for (let dayNum = 1; dayNum <= daysInMonth; dayNum++) {
-      const date = new Date(this.year, this.month - 1, dayNum);
+    for (let dayNum = 1; dayNum <= this.numDays; dayNum++) {
+      const date = this.getDateForDayNumber(dayNum);
       const weekdayName = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'][date.getDay()];
       
       // Check if holiday
-      const isHoliday = this.holidays.dates.includes(dayNum);
+      const isHoliday = holidayDayNumbers.includes(dayNum);
       
       // Get shifts for this day
+      const season = this.getSeason(date);
       let shifts;
-      if (isHoliday && this.holidays.shift_info && Object.keys(this.holidays.shift_info).length > 0) {
+      if (this.options.dayShifts) {
+        shifts = { ...(this.options.dayShifts[dayNum] || {}) };
+      } else if (isHoliday && this.holidays.shift_info && Object.keys(this.holidays.shift_info).length > 0) {
         shifts = { ...this.holidays.shift_info };
       } else {
-        // Use regular schedule for the season and weekday
-        const seasonInfo = this.seasonalShiftInfo[this.season];
+        // Use regular schedule for the day's season and weekday
+        const seasonInfo = this.seasonalShiftInfo[season];
         if (seasonInfo && seasonInfo.shift_info && seasonInfo.shift_info[weekdayName]) {
           shifts = { ...seasonInfo.shift_info[weekdayName] };
         } else {
           // Fallback: empty shifts if something is misconfigured
-          console.warn(`No shift info found for ${this.season} ${weekdayName}`);
+          console.warn(`No shift info found for ${season} ${weekdayName} (${formatDateKey(date)})`);
           shifts = {};
         }
       }
       
-      const day = new Day(date, shifts, isHoliday);
-      day.season = this.season; // Set season for compatibility
+      const day = new Day(date, shifts, isHoliday, this.options.payPeriodPolicy);
+      day.dayNumber = dayNum;
+      day.season = season;
       days.push(day);
     }
     
@@ -395,14 +1076,107 @@ class Schedule {
    * Main scheduling algorithm
    */
   generateSchedule() {
+    for (const _ of this.runGeneration()) {
+      // Run straight through, without pausing for the optimizer
+    }
+  }
+  
+  /**
+   * Main scheduling algorithm, pausing every OPTIMIZER_CHUNK_MS of optimization so the page stays responsive
+   * Build the schedule with `generate: false`, then await this.
+   * @returns {Promise<void>}
+   */
+  async generateScheduleAsync() {
+    for (const _ of this.runGeneration()) {
+      await new Promise(resolve => setTimeout(resolve, 0));
+    }
+  }
+  
+  /**
+   * The scheduling phases, yielding whenever the optimizer has searched for OPTIMIZER_CHUNK_MS
+   */
+  *runGeneration() {
     this.validationMessages.push('Starting schedule generation...');
-    this.validationMessages.push(`Month: ${this.month}/${this.year}, Season: ${this.season}`);
+    this.validationMessages.push(`Dates: ${formatDateKey(this.startDate)} to ${formatDateKey(this.endDate)}`);
+    this.validationMessages.push(`Seasons: ${this.describeSeasons()}`);
+    this.validationMessages.push(`Solver: ${this.options.solver}, seed: ${this.seed ?? 'none'}`);
+    this.validationMessages.push(`Pay periods: ${this.options.payPeriodPolicy.type}, max ${getOvertimeCap(this.options.payPeriodPolicy)}h each`);
+    const { maxHoursPerWeek, maxConsecutiveDays, requireWeekendOff, isolatedDayOffWeight, loneWorkdayWeight } = this.options.rules;
+    this.validationMessages.push(
+      `Rules: max hours/week ${maxHoursPerWeek ?? 'none'}, max consecutive days ${maxConsecutiveDays ?? 'none'}, ` +
+      `weekend off ${requireWeekendOff ? 'preferred' : 'not required'}, ` +
+      `Saturday rotation ${this.options.rules.saturdayRotation ? 'on' : 'off'}, ` +
+      `days off weights: isolated ${isolatedDayOffWeight}, lone workday ${loneWorkdayWeight}`
+    );
     this.validationMessages.push(`Mentors: ${this.mentors.map(m => m.name).join(', ')}`);
-    
-    // PHASE 1: Assign preferred weekdays first
+    for (const [shiftName, required] of Object.entries(this.options.shiftQualifications)) {
+      if (required.length > 0) {
+        this.validationMessages.push(`${shiftName} requires: ${required.join(', ')}`);
+      }
+    }
+    for (const mentor of this.mentors) {
+      if (mentor.availableShare < 1) {
+        this.validationMessages.push(
+          `Target for ${mentor.name}: ${mentor.getTargetHours(this.numWeeksInMonth).toFixed(1)}h, ` +
+          `pro-rated to the ${Math.round(mentor.availableShare * 100)}% of their usual days they are available`
+        );
+      }
+      const employment = [
+        mentor.employmentStart !== null ? `from ${formatDateKey(this.getDateForDayNumber(mentor.employmentStart))}` : null,
+        mentor.employmentEnd !== null ? `until ${formatDateKey(this.getDateForDayNumber(mentor.employmentEnd))}` : null,
+      ].filter(Boolean);
+      if (employment.length > 0) {
+        this.validationMessages.push(`Employed: ${mentor.name} ${employment.join(' ')}`);
+      }
+      if (mentor.minHoursPerWeek !== null || mentor.personalMaxHoursPerWeek !== null) {
+        this.validationMessages.push(
+          `Weekly hours for ${mentor.name}: min ${mentor.minHoursPerWeek ?? 'none'}, ` +
+          `target ${mentor.hoursWantedPerWeek}, max ${mentor.personalMaxHoursPerWeek ?? 'none'}`
+        );
+      }
+      for (const otherName of mentor.neverWith) {
+        if (mentor.name < otherName) {
+          this.validationMessages.push(`Never together: ${mentor.name} and ${otherName}`);
+        }
+      }
+      if (mentor.mustOverlap) {
+        this.validationMessages.push(`Must overlap: ${mentor.name} with ${mentor.mustOverlap.mentor}, ${mentor.mustOverlap.times} nights`);
+      }
+      const shiftTypes = [
+        ...Object.entries(mentor.shiftPreferences).filter(([, p]) => p !== 'neutral').map(([type, p]) => `${p}s ${type}`),
+        ...Object.entries(mentor.shiftCaps).map(([type, cap]) => `at most ${cap} ${type} a month`),
+      ];
+      if (shiftTypes.length > 0) {
+        this.validationMessages.push(`Shift types for ${mentor.name}: ${shiftTypes.join(', ')}`);
+      }
+    }
+    
+    // Count hours already worked in adjacent months toward shared pay periods
+    this.validationMessages.push('\n--- Carried-In Hours (Adjacent Months) ---');
+    this.seedAdjacentHours();
+    
+    // Admin-locked assignments go in first; every phase works around them
+    if (this.options.lockedAssignments.length > 0) {
+      this.validationMessages.push('\n--- Locked Assignments ---');
+      this.applyLockedAssignments();
+    }
+    
+    // Share out the long Saturday shifts before anyone claims them as a preferred day
+    if (this.options.rules.saturdayRotation) {
+      this.validationMessages.push('\n--- Saturday Rotation ---');
+      this.assignSaturdayRotation();
+    }
+    
+    // PHASE 1: Assign preferred weekdays first
     this.validationMessages.push('\n--- Phase 1: Preferred Weekday Assignments ---');
     this.assignPreferredWeekdays();
     
+    // Put mentors who must overlap on the same nights while there is still room
+    if (this.mentors.some(m => m.mustOverlap)) {
+      this.validationMessages.push('\n--- Pairing ---');
+      this.assignPairings();
+    }
+    
     // PHASE 2: Fill remaining shifts with equal distribution
     this.validationMessages.push('\n--- Phase 2: Equal Distribution Fill ---');
     this.fillWithEqualDistribution();
@@ -411,18 +1185,273 @@ class Schedule {
     this.validationMessages.push('\n--- Phase 3: Force Fill Remaining ---');
     this.forceFillRemaining();
     
-    // PHASE 4: Calculate final stats
+    // PHASE 4: Improve the full assignment with local search (optimized mode only)
+    if (this.options.solver === 'optimized') {
+      this.validationMessages.push('\n--- Phase 4: Optimization (Simulated Annealing) ---');
+      yield* this.optimizeAssignments();
+    }
+    
+    // PHASE 5: Calculate final stats
     this.validationMessages.push('\n--- Final Statistics ---');
     this.calculateFinalStats();
+    this.findings = this.collectFindings();
     
     this.validationMessages.push('\n✓ Schedule generation complete');
   }
   
+  /**
+   * Apply the admin-locked assignments as fixed inputs
+   * Locks are applied even if they break a rule (the admin chose them); each broken rule is reported.
+   */
+  applyLockedAssignments() {
+    const mentorsByName = new Map(this.mentors.map(m => [m.name, m]));
+    
+    for (const { day: dayNumber, shift: shiftName, mentorName } of this.options.lockedAssignments) {
+      const day = this.days[dayNumber - 1];
+      const mentor = mentorsByName.get(mentorName);
+      if (!day || day.shifts[shiftName] === undefined || day.assignments[shiftName] !== null || !mentor) {
+        this.validationMessages.push(`  ✗ Skipped lock on day ${dayNumber} ${shiftName} for ${mentorName}: shift or mentor not found`);
+        continue;
+      }
+      
+      const { reason, violations } = this.checkAssignment(mentor, day, shiftName, {
+        allowSoftDates: true,
+        relaxRules: ['weekly_hours_limit', 'max_consecutive_days', 'no_weekend_off'],
+      });
+      for (const code of reason ? [reason, ...violations] : violations) {
+        this.lockViolations.push({
+          severity: reason === code ? 'error' : 'warning',
+          code,
+          day: dayNumber,
+          shift: shiftName,
+          mentor: mentorName,
+          message: `${mentorName} is locked onto ${day.label} ${shiftName} past ${code}`,
+        });
+      }
+      
+      day.assignMentor(shiftName, mentor);
+      this.lockedSlots.add(`${dayNumber}:${shiftName}`);
+      this.validationMessages.push(`  🔒 ${mentorName} on ${day.label} ${shiftName}${reason ? ` (breaks ${reason})` : ''}`);
+    }
+  }
+  
+  /**
+   * Check every hard and soft rule for putting a mentor on a shift
+   * @param {Mentor} mentor 
+   * @param {Day} day 
+   * @param {string} shiftName 
+   * @param {Object} [options] - Same as Mentor.canWork options
+   * @returns {{canWork: boolean, reason: string|null, violations: string[]}}
+   */
+  checkAssignment(mentor, day, shiftName, options = {}) {
+    const result = mentor.canWork(
+      day.dayNumber,
+      day.weekdayName,
+      day.shifts[shiftName],
+      day.payPeriodKey,
+      day.weekKey,
+      {
+        ...options,
+        requiredQualifications: this.options.shiftQualifications[shiftName] || [],
+        shiftEnd: this.getShiftEndTime(day, shiftName),
+        shortShift: this.options.shortShifts.includes(shiftName),
+        shiftType: getShiftType(shiftName),
+        monthKey: day.monthKey,
+      }
+    );
+    if (!result.canWork) return result;
+    
+    // Rule: Never on the same day as a mentor they must be kept apart from
+    if (day.getMentors().some(other => mentor.neverWith.has(other.name))) {
+      return { canWork: false, reason: 'never_together', violations: result.violations };
+    }
+    
+    // Soft rule: Keep at least one full weekend off in the schedule
+    if (this.options.rules.requireWeekendOff && this.wouldTakeLastWeekendOff(mentor, day)) {
+      if (!(options.relaxRules || []).includes('no_weekend_off')) {
+        return { canWork: false, reason: 'no_weekend_off', violations: result.violations };
+      }
+      result.violations.push('no_weekend_off');
+    }
+    
+    return result;
+  }
+  
+  /**
+   * Check if working this day would leave a mentor with no full weekend off
+   * @param {Mentor} mentor 
+   * @param {Day} day 
+   * @returns {boolean}
+   */
+  wouldTakeLastWeekendOff(mentor, day) {
+    const isFree = (weekend) => !weekend.some(d => mentor.daysWorked.has(d));
+    const weekend = this.weekends.find(w => w.includes(day.dayNumber));
+    if (!weekend || !isFree(weekend)) return false;
+    return !this.weekends.some(w => w !== weekend && isFree(w));
+  }
+  
+  /**
+   * Group days by calendar week, in date order
+   * @returns {Day[][]}
+   */
+  getDaysByWeek() {
+    const weeks = new Map();
+    for (const day of this.days) {
+      if (!weeks.has(day.weekKey)) weeks.set(day.weekKey, []);
+      weeks.get(day.weekKey).push(day);
+    }
+    return [...weeks.values()];
+  }
+  
+  /**
+   * How many preferred weekdays a mentor wanted and worked, week by week
+   * Only preferred days the mentor is available on count toward what they wanted.
+   * @param {Mentor} mentor 
+   * @param {Day[][]} [weeks] - From getDaysByWeek
+   * @returns {Array<{weekDays: Day[], wanted: number, hits: number}>} Empty if the mentor has no preferred weekdays
+   */
+  getPreferredDayCounts(mentor, weeks = this.getDaysByWeek()) {
+    if (mentor.preferredDaysPerWeek === 0) return [];
+    return weeks.map(weekDays => {
+      const preferredDays = weekDays.filter(d =>
+        mentor.preferredWeekdays.includes(d.weekdayName) &&
+        !mentor.unavailableDates.includes(d.dayNumber) &&
+        !mentor.unavailableWeekdays.includes(d.weekdayName)
+      );
+      const wanted = Math.min(mentor.preferredDaysPerWeek, preferredDays.length);
+      const hits = preferredDays.filter(d => mentor.daysWorked.has(d.dayNumber)).length;
+      return { weekDays, wanted, hits };
+    });
+  }
+  
+  /**
+   * Find the best-ranked open slot on one of a mentor's preferred weekdays
+   * @param {Mentor} mentor 
+   * @param {Day[]} weekDays - Days of a single week
+   * @returns {{day: Day, shiftName: string, rank: number}|null}
+   */
+  findPreferredSlot(mentor, weekDays) {
+    for (let rank = 0; rank < mentor.preferredWeekdays.length; rank++) {
+      const weekdayName = mentor.preferredWeekdays[rank];
+      const day = weekDays.find(d => d.weekdayName === weekdayName);
+      if (!day) continue;
+      
+      // Take the first shift they can work (preferred shift types, then A/B prioritized)
+      for (const shiftName of day.getUnfilledShifts(mentor)) {
+        const { canWork } = this.checkAssignment(mentor, day, shiftName);
+        if (canWork) {
+          return { day, shiftName, rank };
+        }
+      }
+    }
+    return null;
+  }
+  
+  /**
+   * Seed mentor pay-period and week totals with shifts from adjacent months
+   * Only shifts in a pay period or week that overlaps the schedule are counted.
+   */
+  seedAdjacentHours() {
+    const payPeriods = new Set(this.days.map(d => d.payPeriodKey));
+    const weekKeys = new Set(this.days.map(d => d.weekKey));
+    const mentorsByName = new Map(this.mentors.map(m => [m.name, m]));
+    const firstDayNumber = toDayNumber(this.startDate);
+    
+    for (const shift of this.options.adjacentShifts) {
+      const mentor = mentorsByName.get(shift.mentorName);
+      if (!mentor) continue;
+      
+      // Shifts inside the schedule are being rescheduled, not carried in
+      const date = new Date(shift.date);
+      const relativeDay = toDayNumber(date) - firstDayNumber + 1;
+      if (relativeDay >= 1 && relativeDay <= this.numDays) continue;
+      
+      const payPeriodKey = getPayPeriod(date, this.options.payPeriodPolicy).key;
+      const weekKey = getWeekKey(date);
+      mentor.addCarriedHours(
+        shift.hours,
+        payPeriods.has(payPeriodKey) ? payPeriodKey : null,
+        weekKeys.has(weekKey) ? weekKey : null,
+        relativeDay
+      );
+    }
+    
+    let anyCarried = false;
+    for (const mentor of this.mentors) {
+      for (const [payPeriodKey, hours] of Object.entries(mentor.carriedHoursPerPayPeriod)) {
+        if (hours > 0) {
+          this.validationMessages.push(`  ${mentor.name}: ${hours.toFixed(1)}h carried into pay period starting ${payPeriodKey}`);
+          anyCarried = true;
+        }
+      }
+    }
+    
+    if (!anyCarried) {
+      this.validationMessages.push('No hours carried in from adjacent months');
+    }
+  }
+  
+  /**
+   * Count each mentor's Saturday A/B shifts, including previous months
+   * @returns {Map<Mentor, number>}
+   */
+  getSaturdayCounts() {
+    const counts = new Map(this.mentors.map(m => [m, this.options.saturdayHistory[m.name] || 0]));
+    for (const day of this.days) {
+      if (day.weekday !== 6) continue;
+      for (const shiftName of SATURDAY_ROTATION_SHIFTS) {
+        const mentor = day.assignments[shiftName];
+        if (mentor) counts.set(mentor, counts.get(mentor) + 1);
+      }
+    }
+    return counts;
+  }
+  
+  /**
+   * Saturday rotation: give each Saturday A/B shift to the eligible mentor
+   * with the fewest Saturday shifts so far (this month plus history)
+   */
+  assignSaturdayRotation() {
+    const counts = this.getSaturdayCounts();
+    
+    for (const day of this.days.filter(d => d.weekday === 6)) {
+      for (const shiftName of SATURDAY_ROTATION_SHIFTS) {
+        if (day.assignments[shiftName] !== null && day.assignments[shiftName] !== undefined) continue;
+        if (day.shifts[shiftName] === undefined) continue;
+        
+        // Fewest Saturdays first; ties go to whoever is furthest below their hours target
+        const candidates = this.mentors
+          .filter(m => this.checkAssignment(m, day, shiftName).canWork)
+          .sort((a, b) =>
+            counts.get(a) - counts.get(b) ||
+            a.getPercentageOfTarget(this.numWeeksInMonth) - b.getPercentageOfTarget(this.numWeeksInMonth)
+          );
+        
+        if (candidates.length === 0) {
+          this.validationMessages.push(`    ✗ No mentor available for Saturday ${day.label} ${shiftName}`);
+          continue;
+        }
+        
+        const mentor = candidates[0];
+        day.assignMentor(shiftName, mentor);
+        counts.set(mentor, counts.get(mentor) + 1);
+        this.validationMessages.push(`    ✓ Assigned ${mentor.name} to Saturday ${day.label} ${shiftName}`);
+      }
+    }
+    
+    for (const mentor of this.mentors) {
+      const history = this.options.saturdayHistory[mentor.name] || 0;
+      this.validationMessages.push(`  ${mentor.name}: ${counts.get(mentor) - history} Saturday A/B shifts this month (${history} in previous months)`);
+    }
+  }
+  
   /**
    * Phase 1: Assign mentors to their preferred weekdays
+   * Each week is filled in rounds: every mentor gets one preferred day per round,
+   * with the mentors who have received the fewest preferred days picking first.
    */
   assignPreferredWeekdays() {
-    const mentorsWithPreference = this.mentors.filter(m => m.preferredWeekday);
+    const mentorsWithPreference = this.mentors.filter(m => m.preferredDaysPerWeek > 0);
     
     if (mentorsWithPreference.length === 0) {
       this.validationMessages.push('No mentors have preferred weekdays set.');
@@ -430,109 +1459,213 @@ class Schedule {
     }
     
     for (const mentor of mentorsWithPreference) {
-      this.validationMessages.push(`  ${mentor.name} prefers ${mentor.preferredWeekday}`);
-      
-      // Find all days matching their preferred weekday
-      const preferredDays = this.days.filter(d => d.weekdayName === mentor.preferredWeekday);
+      this.validationMessages.push(`  ${mentor.name} prefers ${mentor.preferredWeekdays.join(' > ')} (${mentor.preferredDaysPerWeek}/week)`);
+    }
+    
+    const preferenceHits = new Map(mentorsWithPreference.map(m => [m, 0]));
+    
+    for (const weekDays of this.getDaysByWeek()) {
+      const hitsThisWeek = new Map(mentorsWithPreference.map(m => [m, 0]));
+      let assignedThisRound = true;
       
-      for (const day of preferredDays) {
-        const unfilledShifts = day.getUnfilledShifts();
-        if (unfilledShifts.length === 0) continue;
-        
-        // Try to assign the first available shift (A/B prioritized)
-        const shiftName = unfilledShifts[0];
-        const shiftHours = day.shifts[shiftName];
+      while (assignedThisRound) {
+        assignedThisRound = false;
         
-        const { canWork, reason } = mentor.canWork(
-          day.dayOfMonth,
-          day.weekdayName,
-          shiftHours,
-          day.payPeriodNum
+        const sortedMentors = [...mentorsWithPreference].sort(
+          (a, b) => preferenceHits.get(a) - preferenceHits.get(b)
         );
         
-        if (canWork) {
-          day.assignMentor(shiftName, mentor);
-          this.validationMessages.push(`    ✓ Assigned ${mentor.name} to day ${day.dayOfMonth} ${shiftName}`);
-        } else {
-          this.validationMessages.push(`    ✗ Cannot assign ${mentor.name} to day ${day.dayOfMonth}: ${reason}`);
+        for (const mentor of sortedMentors) {
+          if (hitsThisWeek.get(mentor) >= mentor.preferredDaysPerWeek) continue;
+          
+          const slot = this.findPreferredSlot(mentor, weekDays);
+          if (!slot) continue;
+          
+          slot.day.assignMentor(slot.shiftName, mentor);
+          hitsThisWeek.set(mentor, hitsThisWeek.get(mentor) + 1);
+          preferenceHits.set(mentor, preferenceHits.get(mentor) + 1);
+          assignedThisRound = true;
+          this.validationMessages.push(`    ✓ Assigned ${mentor.name} to ${slot.day.label} ${slot.shiftName} (choice ${slot.rank + 1})`);
+        }
+      }
+      
+      for (const mentor of mentorsWithPreference) {
+        // Partial weeks at the month edges may not contain every preferred weekday
+        const available = mentor.preferredWeekdays.filter(w => weekDays.some(d => d.weekdayName === w)).length;
+        const wanted = Math.min(mentor.preferredDaysPerWeek, available);
+        if (hitsThisWeek.get(mentor) < wanted) {
+          this.validationMessages.push(`    ✗ ${mentor.name} got ${hitsThisWeek.get(mentor)}/${wanted} preferred days in week ${weekDays[0].weekKey}`);
         }
       }
     }
   }
   
   /**
-   * Phase 2: Fill remaining shifts with equal distribution
-   * Give hours at the same rate until everyone reaches their target
+   * Count the days two mentors both work
+   * @param {Mentor} mentorA 
+   * @param {Mentor} mentorB 
+   * @returns {number}
    */
-  fillWithEqualDistribution() {
-    let totalAssigned = 0;
-    let iterations = 0;
-    const maxIterations = 1000; // Safety limit
+  countOverlaps(mentorA, mentorB) {
+    let overlaps = 0;
+    for (const dayNumber of mentorA.daysWorked) {
+      if (mentorB.daysWorked.has(dayNumber)) overlaps++;
+    }
+    return overlaps;
+  }
+  
+  /**
+   * Put a mentor on an open shift of a day, if any shift is legal for them
+   * @param {Mentor} mentor 
+   * @param {Day} day 
+   * @returns {string|null} - The shift assigned
+   */
+  assignToOpenShift(mentor, day) {
+    for (const shiftName of day.getUnfilledShifts(mentor)) {
+      if (this.checkAssignment(mentor, day, shiftName).canWork) {
+        day.assignMentor(shiftName, mentor);
+        return shiftName;
+      }
+    }
+    return null;
+  }
+  
+  /**
+   * Pairing phase: schedule mentors who must overlap on the same nights
+   * First one joins a night the other already works; failing that, both take a night neither works.
+   * Nights are spread out by picking the week with the fewest overlaps so far.
+   */
+  assignPairings() {
+    const byName = new Map(this.mentors.map(m => [m.name, m]));
     
-    while (iterations < maxIterations) {
-      iterations++;
+    for (const mentor of this.mentors) {
+      if (!mentor.mustOverlap) continue;
+      const partner = byName.get(mentor.mustOverlap.mentor);
+      const { times } = mentor.mustOverlap;
+      
+      const overlapsInWeek = (day) => this.days.filter(d =>
+        d.weekKey === day.weekKey && mentor.daysWorked.has(d.dayNumber) && partner.daysWorked.has(d.dayNumber)
+      ).length;
+      const byFewestOverlaps = (days) => days
+        .map(day => ({ day, weekOverlaps: overlapsInWeek(day) }))
+        .sort((a, b) => a.weekOverlaps - b.weekOverlaps || a.day.dayNumber - b.day.dayNumber)
+        .map(({ day }) => day);
       
-      // Find all unfilled shifts across all days
-      const unfilledSlots = [];
-      for (const day of this.days) {
-        for (const shiftName of day.getUnfilledShifts()) {
-          unfilledSlots.push({ day, shiftName, hours: day.shifts[shiftName] });
+      let overlaps = this.countOverlaps(mentor, partner);
+      while (overlaps < times) {
+        const joinable = byFewestOverlaps(this.days.filter(d =>
+          mentor.daysWorked.has(d.dayNumber) !== partner.daysWorked.has(d.dayNumber)
+        ));
+        let paired = joinable.some(day => {
+          const joiner = mentor.daysWorked.has(day.dayNumber) ? partner : mentor;
+          return this.assignToOpenShift(joiner, day) !== null;
+        });
+        
+        if (!paired) {
+          const free = byFewestOverlaps(this.days.filter(d =>
+            !mentor.daysWorked.has(d.dayNumber) && !partner.daysWorked.has(d.dayNumber)
+          ));
+          paired = free.some(day => {
+            const shiftName = this.assignToOpenShift(mentor, day);
+            if (shiftName === null) return false;
+            if (this.assignToOpenShift(partner, day) !== null) return true;
+            day.removeMentor(shiftName);
+            return false;
+          });
         }
+        
+        if (!paired) break;
+        overlaps++;
       }
       
-      if (unfilledSlots.length === 0) {
-        this.validationMessages.push('All shifts filled!');
-        break;
+      this.validationMessages.push(`${mentor.name} works with ${partner.name} on ${overlaps}/${times} nights`);
+    }
+  }
+  
+  /**
+   * Phase 2: Fill remaining shifts with equal distribution
+   * Mentors come off a priority queue lowest percentage of target first (anyone under their
+   * minimum ahead of the rest), take the earliest open shift they can legally work and go back
+   * in with their new percentage. Over-target mentors therefore only get shifts once everyone
+   * who can still work has reached their target.
+   * A shift closed to a mentor stays closed for this phase (shifts only fill up and a mentor's
+   * hours only grow), so each mentor keeps a cursor into the shift order instead of rescanning.
+   * Mentors with nothing left are dropped from the queue, so the loop always ends.
+   * From the cursor a mentor looks ahead for a better slot: a shift type they like more, then one
+   * that keeps their days off together (see getDaysOffPenalty).
+   */
+  fillWithEqualDistribution() {
+    // Open shifts, earliest first (or shuffled days with a seed)
+    const dayOrder = this.seed === null ? this.days : this.shuffle([...this.days]);
+    const slots = [];
+    for (const day of dayOrder) {
+      for (const shiftName of day.getUnfilledShifts()) {
+        slots.push({ day, shiftName });
       }
+    }
+    
+    // Ties go to the earlier mentor in this.mentors
+    const order = new Map(this.mentors.map((mentor, i) => [mentor, i]));
+    const queue = new PriorityQueue((a, b) => {
+      const aUnderMin = a.getMinimumDeficit(this.numWeeksInMonth) > 0;
+      const bUnderMin = b.getMinimumDeficit(this.numWeeksInMonth) > 0;
+      if (aUnderMin !== bUnderMin) return aUnderMin ? -1 : 1;
+      return a.getPercentageOfTarget(this.numWeeksInMonth) - b.getPercentageOfTarget(this.numWeeksInMonth) ||
+        order.get(a) - order.get(b);
+    });
+    const cursors = new Map();
+    for (const mentor of this.mentors) {
+      queue.push(mentor);
+      cursors.set(mentor, 0);
+    }
+    
+    let remaining = slots.length;
+    let totalAssigned = 0;
+    
+    while (remaining > 0 && queue.size > 0) {
+      const mentor = queue.pop();
       
-      // Sort mentors by percentage of target achieved (lowest first = equal distribution)
-      const sortedMentors = [...this.mentors].sort((a, b) => {
-        const aPct = a.getPercentageOfTarget(this.numWeeksInMonth);
-        const bPct = b.getPercentageOfTarget(this.numWeeksInMonth);
-        return aPct - bPct;
-      });
-      
-      let assignedThisRound = false;
+      const isOpenFor = ({ day, shiftName }) =>
+        day.assignments[shiftName] === null && this.checkAssignment(mentor, day, shiftName).canWork;
+      let cursor = cursors.get(mentor);
+      while (cursor < slots.length && !isOpenFor(slots[cursor])) cursor++;
+      cursors.set(mentor, cursor);
+      // Nothing left this mentor can work
+      if (cursor === slots.length) continue;
       
-      // Try to assign each mentor to a slot
-      for (const mentor of sortedMentors) {
-        // Skip mentors who are already at/above their target (unless everyone is)
-        const allAtTarget = sortedMentors.every(m => m.getPercentageOfTarget(this.numWeeksInMonth) >= 100);
-        if (!allAtTarget && mentor.getPercentageOfTarget(this.numWeeksInMonth) >= 100) {
-          continue;
-        }
-        
-        // Find a slot this mentor can work
-        for (const slot of unfilledSlots) {
-          const { day, shiftName } = slot;
-          
-          // Skip if already assigned this round
-          if (day.assignments[shiftName] !== null) continue;
-          
-          const { canWork, reason } = mentor.canWork(
-            day.dayOfMonth,
-            day.weekdayName,
-            day.shifts[shiftName],
-            day.payPeriodNum
-          );
-          
-          if (canWork) {
-            day.assignMentor(shiftName, mentor);
-            totalAssigned++;
-            assignedThisRound = true;
-            break; // Move to next mentor
-          }
+      // Look ahead for the best shift type they can get (preferred, else neutral; avoided ones only if nothing
+      // else is left), and among those the slot that splits up their days off least
+      const bestRank = Math.min(SHIFT_PREFERENCE_RANKS.neutral, ...Object.values(mentor.shiftPreferences).map(p => SHIFT_PREFERENCE_RANKS[p] ?? SHIFT_PREFERENCE_RANKS.neutral));
+      const rankSlot = ({ day, shiftName }) => ({
+        rank: mentor.getShiftPreferenceRank(shiftName),
+        penalty: this.getDaysOffPenalty(mentor, day),
+      });
+      let pick = cursor;
+      let pickCost = rankSlot(slots[cursor]);
+      for (let i = cursor + 1; i < slots.length && (pickCost.rank > bestRank || pickCost.penalty > 0); i++) {
+        const cost = rankSlot(slots[i]);
+        const better = cost.rank < pickCost.rank || (cost.rank === pickCost.rank && cost.penalty < pickCost.penalty);
+        if (better && isOpenFor(slots[i])) {
+          pick = i;
+          pickCost = cost;
         }
       }
       
-      // If no assignments were made this round, we're stuck
-      if (!assignedThisRound) {
-        this.validationMessages.push(`Stuck after ${iterations} iterations with ${unfilledSlots.length} slots remaining`);
-        break;
-      }
+      const { day, shiftName } = slots[pick];
+      day.assignMentor(shiftName, mentor);
+      // Every other shift that day is now closed to them, so the cursor only moves past its own slot
+      if (pick === cursor) cursors.set(mentor, cursor + 1);
+      remaining--;
+      totalAssigned++;
+      queue.push(mentor);
     }
     
-    this.validationMessages.push(`Assigned ${totalAssigned} shifts in ${iterations} iterations`);
+    if (remaining === 0) {
+      this.validationMessages.push('All shifts filled!');
+    } else {
+      this.validationMessages.push(`${remaining} shifts left that no mentor can take without breaking a rule`);
+    }
+    this.validationMessages.push(`Assigned ${totalAssigned} shifts`);
   }
   
   /**
@@ -543,48 +1676,57 @@ class Schedule {
     
     for (const day of this.days) {
       for (const shiftName of day.getUnfilledShifts()) {
-        const shiftHours = day.shifts[shiftName];
-        
         // Find ANY mentor who can work (ignoring hour targets, respecting hard rules)
         let assigned = false;
         
         // Sort by fewest hours assigned (still try for some balance)
         const sortedMentors = [...this.mentors].sort((a, b) => a.hoursAssigned - b.hoursAssigned);
         
-        for (const mentor of sortedMentors) {
-          const { canWork, reason } = mentor.canWork(
-            day.dayOfMonth,
-            day.weekdayName,
-            shiftHours,
-            day.payPeriodNum
-          );
-          
-          if (canWork) {
-            day.assignMentor(shiftName, mentor);
-            forcedAssignments.push({
-              day: day.dayOfMonth,
-              shift: shiftName,
-              mentor: mentor.name,
-              note: 'Force-filled (beyond normal distribution)'
-            });
-            assigned = true;
-            break;
+        // Loosen soft dates, then the campus rules, one level at a time
+        for (const level of FORCE_FILL_LEVELS) {
+          for (const mentor of sortedMentors) {
+            const { canWork, violations } = this.checkAssignment(mentor, day, shiftName, level);
+            
+            if (canWork) {
+              day.assignMentor(shiftName, mentor);
+              const onSoftDate = mentor.isSoftDate(day.dayNumber);
+              forcedAssignments.push({
+                day: day.dayNumber,
+                shift: shiftName,
+                mentor: mentor.name,
+                violations: violations,
+                note: onSoftDate
+                  ? 'Force-filled on soft date'
+                  : 'Force-filled (beyond normal distribution)'
+              });
+              if (onSoftDate) {
+                this.validationMessages.push(`⚠ ${day.label} ${shiftName}: ${mentor.name} assigned on soft date`);
+              }
+              for (const violation of violations) {
+                this.validationMessages.push(`⚠ ${day.label} ${shiftName}: ${mentor.name} forced past ${violation}`);
+              }
+              assigned = true;
+              break;
+            }
           }
+          if (assigned) break;
         }
         
         if (!assigned) {
           // Truly cannot fill - log it
           forcedAssignments.push({
-            day: day.dayOfMonth,
+            day: day.dayNumber,
             shift: shiftName,
             mentor: null,
             note: 'UNFILLABLE - No mentor available'
           });
-          this.validationMessages.push(`⚠ Day ${day.dayOfMonth} ${shiftName}: UNFILLABLE - all mentors unavailable`);
+          this.validationMessages.push(`⚠ ${day.label} ${shiftName}: UNFILLABLE - all mentors unavailable`);
         }
       }
     }
     
+    this.forcedAssignments = forcedAssignments;
+    
     if (forcedAssignments.length > 0) {
       const filled = forcedAssignments.filter(a => a.mentor !== null);
       const unfilled = forcedAssignments.filter(a => a.mentor === null);
@@ -599,22 +1741,398 @@ class Schedule {
   }
   
   /**
-   * Phase 4: Calculate and log final statistics
+   * Score the current assignment against the soft goals (lower total is better)
+   * fairness, preferenceHits and forcedShifts are reported for comparison but not weighted.
+   * isolatedDaysOff and loneWorkdays are weighted by the campus rules rather than SCORE_WEIGHTS.
+   * @returns {{total: number, hoursDeviation: number, hoursUnderMinimum: number, fairness: number, preferenceHits: number,
+   *   preferenceMisses: number, softDates: number, unfilled: number, forcedShifts: number, saturdayImbalance: number, pairingShortfall: number,
+   *   avoidedShifts: number, unpreferredShifts: number, isolatedDaysOff: number, loneWorkdays: number}}
+   */
+  scoreSchedule() {
+    let hoursDeviation = 0;
+    let hoursUnderMinimum = 0;
+    for (const mentor of this.mentors) {
+      const targetTotal = mentor.getTargetHours(this.numWeeksInMonth);
+      hoursDeviation += Math.abs(mentor.hoursAssigned - targetTotal);
+      hoursUnderMinimum += mentor.getMinimumDeficit(this.numWeeksInMonth);
+    }
+    
+    // Fairness: spread (standard deviation) of percentage-of-target across mentors
+    let fairness = 0;
+    if (this.mentors.length > 0) {
+      const pcts = this.mentors.map(m => m.getPercentageOfTarget(this.numWeeksInMonth));
+      const meanPct = pcts.reduce((sum, p) => sum + p, 0) / pcts.length;
+      fairness = Math.sqrt(pcts.reduce((sum, p) => sum + (p - meanPct) ** 2, 0) / pcts.length);
+    }
+    
+    let preferenceMisses = 0;
+    let preferenceHits = 0;
+    const weeks = this.getDaysByWeek();
+    for (const mentor of this.mentors) {
+      for (const { wanted, hits } of this.getPreferredDayCounts(mentor, weeks)) {
+        preferenceMisses += Math.max(0, wanted - hits);
+        preferenceHits += Math.min(wanted, hits);
+      }
+    }
+    
+    let softDates = 0;
+    let unfilled = 0;
+    let avoidedShifts = 0;
+    let unpreferredShifts = 0;
+    for (const day of this.days) {
+      for (const [shiftName, mentor] of Object.entries(day.assignments)) {
+        if (mentor === null) {
+          unfilled++;
+          continue;
+        }
+        if (mentor.isSoftDate(day.dayNumber)) softDates++;
+        const rank = mentor.getShiftPreferenceRank(shiftName);
+        if (rank === SHIFT_PREFERENCE_RANKS.avoid) avoidedShifts++;
+        if (rank !== SHIFT_PREFERENCE_RANKS.prefer && Object.values(mentor.shiftPreferences).includes('prefer')) unpreferredShifts++;
+      }
+    }
+    
+    let saturdayImbalance = 0;
+    if (this.options.rules.saturdayRotation && this.mentors.length > 0) {
+      const counts = [...this.getSaturdayCounts().values()];
+      const average = counts.reduce((sum, c) => sum + c, 0) / counts.length;
+      saturdayImbalance = counts.reduce((sum, c) => sum + Math.abs(c - average), 0);
+    }
+    
+    const pairingShortfall = this.getPairingShortfalls()
+      .reduce((sum, { overlaps, times }) => sum + times - overlaps, 0);
+    
+    let isolatedDaysOff = 0;
+    let loneWorkdays = 0;
+    for (const mentor of this.mentors) {
+      const breaks = this.getDaysOffBreaks(mentor);
+      isolatedDaysOff += breaks.isolatedDaysOff.length;
+      loneWorkdays += breaks.loneWorkdays.length;
+    }
+    
+    const total =
+      hoursDeviation * SCORE_WEIGHTS.hoursDeviation +
+      hoursUnderMinimum * SCORE_WEIGHTS.underMinimum +
+      pairingShortfall * SCORE_WEIGHTS.pairingShortfall +
+      saturdayImbalance * SCORE_WEIGHTS.saturdayImbalance +
+      preferenceMisses * SCORE_WEIGHTS.preferenceMiss +
+      softDates * SCORE_WEIGHTS.softDate +
+      avoidedShifts * SCORE_WEIGHTS.avoidedShift +
+      unpreferredShifts * SCORE_WEIGHTS.unpreferredShift +
+      isolatedDaysOff * this.options.rules.isolatedDayOffWeight +
+      loneWorkdays * this.options.rules.loneWorkdayWeight +
+      unfilled * SCORE_WEIGHTS.unfilled;
+    
+    // Forced shifts the optimizer has since given to someone else no longer count
+    const forcedShifts = this.forcedAssignments
+      .filter(a => a.mentor !== null && this.days[a.day - 1].assignments[a.shift]?.name === a.mentor)
+      .length;
+    
+    return {
+      total,
+      hoursDeviation,
+      hoursUnderMinimum,
+      fairness,
+      preferenceHits,
+      preferenceMisses,
+      softDates,
+      unfilled,
+      forcedShifts,
+      saturdayImbalance,
+      pairingShortfall,
+      avoidedShifts,
+      unpreferredShifts,
+      isolatedDaysOff,
+      loneWorkdays,
+    };
+  }
+  
+  /**
+   * Find where a mentor's days off are broken up, over a span of days
+   * Isolated days off are single days off between two worked days; lone workdays are single worked days
+   * between two days off, at least one of them requested off (a Saturday worked between a Friday and Sunday off).
+   * Days just outside the schedule count as worked if they were worked in an adjacent saved month.
+   * @param {Mentor} mentor 
+   * @param {number} [from=1] - First day number to check
+   * @param {number} [to=this.numDays] - Last day number to check
+   * @param {number|null} [extraDay=null] - A day to count as worked, to price a possible assignment
+   * @returns {{isolatedDaysOff: number[], loneWorkdays: number[]}} Day numbers
+   */
+  getDaysOffBreaks(mentor, from = 1, to = this.numDays, extraDay = null) {
+    const worked = (d) => d === extraDay || mentor.daysWorked.has(d) || mentor.adjacentDaysWorked.has(d);
+    // A day off before or after the schedule is unknown, so it never makes a lone workday
+    const isOff = (d) => d >= 1 && d <= this.numDays && !worked(d);
+    const isolatedDaysOff = [];
+    const loneWorkdays = [];
+    for (let d = Math.max(1, from); d <= Math.min(this.numDays, to); d++) {
+      if (!worked(d)) {
+        if (worked(d - 1) && worked(d + 1)) isolatedDaysOff.push(d);
+      } else if (isOff(d - 1) && isOff(d + 1) && (mentor.isRequestedOff(d - 1) || mentor.isRequestedOff(d + 1))) {
+        loneWorkdays.push(d);
+      }
+    }
+    return { isolatedDaysOff, loneWorkdays };
+  }
+  
+  /**
+   * Weighted change in broken-up days off if a mentor also worked this day (negative when it joins them up)
+   * @param {Mentor} mentor 
+   * @param {Day} day 
+   * @returns {number}
+   */
+  getDaysOffPenalty(mentor, day) {
+    const { isolatedDayOffWeight, loneWorkdayWeight } = this.options.rules;
+    if (!isolatedDayOffWeight && !loneWorkdayWeight) return 0;
+    
+    // Working a day only changes how it and its neighbours count
+    const d = day.dayNumber;
+    const before = this.getDaysOffBreaks(mentor, d - 1, d + 1);
+    const after = this.getDaysOffBreaks(mentor, d - 1, d + 1, d);
+    return (after.isolatedDaysOff.length - before.isolatedDaysOff.length) * isolatedDayOffWeight +
+      (after.loneWorkdays.length - before.loneWorkdays.length) * loneWorkdayWeight;
+  }
+  
+  /**
+   * Get every must-overlap constraint that is not met
+   * @returns {Array<{mentor: Mentor, partner: Mentor, overlaps: number, times: number}>}
+   */
+  getPairingShortfalls() {
+    const shortfalls = [];
+    for (const mentor of this.mentors) {
+      if (!mentor.mustOverlap) continue;
+      const partner = this.mentors.find(m => m.name === mentor.mustOverlap.mentor);
+      const overlaps = this.countOverlaps(mentor, partner);
+      if (overlaps < mentor.mustOverlap.times) {
+        shortfalls.push({ mentor, partner, overlaps, times: mentor.mustOverlap.times });
+      }
+    }
+    return shortfalls;
+  }
+  
+  /**
+   * Format a score breakdown for the validation messages
+   * @param {Object} score - Result of scoreSchedule()
+   * @returns {string}
+   */
+  formatScore(score) {
+    const saturdays = this.options.rules.saturdayRotation
+      ? `, Saturday imbalance ${score.saturdayImbalance.toFixed(1)}`
+      : '';
+    const pairing = score.pairingShortfall > 0 ? `, pairing nights short ${score.pairingShortfall}` : '';
+    const underMinimum = score.hoursUnderMinimum > 0 ? `, under minimum ${score.hoursUnderMinimum.toFixed(1)}h` : '';
+    const avoided = score.avoidedShifts > 0 ? `, avoided shift types ${score.avoidedShifts}` : '';
+    const unpreferred = score.unpreferredShifts > 0 ? `, shifts outside preferred types ${score.unpreferredShifts}` : '';
+    const isolated = score.isolatedDaysOff > 0 ? `, isolated days off ${score.isolatedDaysOff}` : '';
+    const lone = score.loneWorkdays > 0 ? `, lone workdays ${score.loneWorkdays}` : '';
+    return `${score.total.toFixed(1)} (hours off target ${score.hoursDeviation.toFixed(1)}h, ` +
+      `preference misses ${score.preferenceMisses}, soft dates ${score.softDates}, unfilled ${score.unfilled}` +
+      `${saturdays}${pairing}${underMinimum}${avoided}${unpreferred}${isolated}${lone})`;
+  }
+  
+  /**
+   * Score the schedule along with its formatted breakdown, for display
+   * @returns {Object} scoreSchedule() plus a summary string
+   */
+  summarizeScore() {
+    const score = this.scoreSchedule();
+    return { ...score, summary: this.formatScore(score) };
+  }
+  
+  /**
+   * Take a snapshot of every shift assignment so it can be restored later
+   * @returns {Array<{day: Day, shiftName: string, mentor: Mentor|null}>}
+   */
+  snapshotAssignments() {
+    const snapshot = [];
+    for (const day of this.days) {
+      for (const shiftName in day.assignments) {
+        snapshot.push({ day, shiftName, mentor: day.assignments[shiftName] });
+      }
+    }
+    return snapshot;
+  }
+  
+  /**
+   * Restore assignments from a snapshot taken by snapshotAssignments()
+   * @param {Array<{day: Day, shiftName: string, mentor: Mentor|null}>} snapshot 
+   */
+  restoreAssignments(snapshot) {
+    for (const { day, shiftName } of snapshot) {
+      day.removeMentor(shiftName);
+    }
+    for (const { day, shiftName, mentor } of snapshot) {
+      if (mentor) day.assignMentor(shiftName, mentor);
+    }
+  }
+  
+  /**
+   * Try to put a mentor on a (currently empty) shift, respecting hard rules
+   * Soft dates are allowed here because the score already penalizes them.
+   * @param {Day} day 
+   * @param {string} shiftName 
+   * @param {Mentor} mentor 
+   * @returns {boolean} - True if assigned
+   */
+  tryAssign(day, shiftName, mentor) {
+    const { canWork } = this.checkAssignment(mentor, day, shiftName, { allowSoftDates: true });
+    if (canWork) day.assignMentor(shiftName, mentor);
+    return canWork;
+  }
+  
+  /**
+   * Move: give one shift to a different mentor
+   * @param {Array<{day: Day, shiftName: string}>} slots 
+   * @returns {Function|null} - Undo function, or null if the move was not legal
+   */
+  moveReassign(slots) {
+    const { day, shiftName } = slots[Math.floor(this.random() * slots.length)];
+    const previous = day.assignments[shiftName];
+    const candidate = this.mentors[Math.floor(this.random() * this.mentors.length)];
+    if (candidate === previous) return null;
+    
+    day.removeMentor(shiftName);
+    if (!this.tryAssign(day, shiftName, candidate)) {
+      if (previous) day.assignMentor(shiftName, previous);
+      return null;
+    }
+    
+    return () => {
+      day.removeMentor(shiftName);
+      if (previous) day.assignMentor(shiftName, previous);
+    };
+  }
+  
+  /**
+   * Move: exchange the mentors on two shifts
+   * @param {Array<{day: Day, shiftName: string}>} slots 
+   * @returns {Function|null} - Undo function, or null if the move was not legal
+   */
+  moveSwap(slots) {
+    const first = slots[Math.floor(this.random() * slots.length)];
+    const second = slots[Math.floor(this.random() * slots.length)];
+    const mentorA = first.day.assignments[first.shiftName];
+    const mentorB = second.day.assignments[second.shiftName];
+    if (!mentorA || !mentorB || mentorA === mentorB) return null;
+    
+    const restore = () => {
+      first.day.removeMentor(first.shiftName);
+      second.day.removeMentor(second.shiftName);
+      first.day.assignMentor(first.shiftName, mentorA);
+      second.day.assignMentor(second.shiftName, mentorB);
+    };
+    
+    first.day.removeMentor(first.shiftName);
+    second.day.removeMentor(second.shiftName);
+    if (!this.tryAssign(second.day, second.shiftName, mentorA) ||
+        !this.tryAssign(first.day, first.shiftName, mentorB)) {
+      restore();
+      return null;
+    }
+    
+    return restore;
+  }
+  
+  /**
+   * Phase 4 (optimized mode): Simulated annealing over the full assignment
+   * Every move goes through Mentor.canWork, so hard rules are never broken.
+   * Yields after every OPTIMIZER_CHUNK_MS of searching; time spent paused does not count toward the budget.
+   */
+  *optimizeAssignments() {
+    const slots = this.snapshotAssignments()
+      .map(({ day, shiftName }) => ({ day, shiftName }))
+      .filter(({ day, shiftName }) => !this.lockedSlots.has(`${day.dayNumber}:${shiftName}`));
+    if (slots.length === 0 || this.mentors.length === 0) {
+      this.validationMessages.push('Nothing to optimize');
+      return;
+    }
+    
+    const initialScore = this.scoreSchedule();
+    let currentTotal = initialScore.total;
+    let bestTotal = currentTotal;
+    let bestSnapshot = this.snapshotAssignments();
+    
+    const timeBudgetMs = this.options.timeBudgetMs;
+    const startTemperature = 10;
+    let searchedMs = 0; // Time spent in finished chunks
+    let chunkStart = Date.now();
+    let iterations = 0;
+    let accepted = 0;
+    
+    while (true) {
+      const chunkMs = Date.now() - chunkStart;
+      if (chunkMs >= OPTIMIZER_CHUNK_MS) {
+        searchedMs += chunkMs;
+        yield;
+        chunkStart = Date.now();
+        continue;
+      }
+      const elapsed = searchedMs + chunkMs;
+      if (elapsed >= timeBudgetMs) break;
+      iterations++;
+      
+      const undo = this.random() < 0.5 ? this.moveReassign(slots) : this.moveSwap(slots);
+      if (!undo) continue;
+      
+      const newTotal = this.scoreSchedule().total;
+      const delta = newTotal - currentTotal;
+      const temperature = Math.max(0.01, startTemperature * (1 - elapsed / timeBudgetMs));
+      
+      if (delta <= 0 || this.random() < Math.exp(-delta / temperature)) {
+        currentTotal = newTotal;
+        accepted++;
+        if (currentTotal < bestTotal) {
+          bestTotal = currentTotal;
+          bestSnapshot = this.snapshotAssignments();
+        }
+      } else {
+        undo();
+      }
+    }
+    
+    this.restoreAssignments(bestSnapshot);
+    
+    this.validationMessages.push(`Score before: ${this.formatScore(initialScore)}`);
+    this.validationMessages.push(`Score after: ${this.formatScore(this.scoreSchedule())}`);
+    this.validationMessages.push(`Tried ${iterations} moves in ${timeBudgetMs}ms, accepted ${accepted}`);
+  }
+  
+  /**
+   * Phase 5: Calculate and log final statistics
    */
   calculateFinalStats() {
     for (const mentor of this.mentors) {
-      const targetMonthly = mentor.hoursWantedPerWeek * this.numWeeksInMonth;
+      const targetMonthly = mentor.getTargetHours(this.numWeeksInMonth);
       const pct = mentor.getPercentageOfTarget(this.numWeeksInMonth);
       const diff = mentor.hoursAssigned - targetMonthly;
       const diffStr = diff >= 0 ? `+${diff.toFixed(1)}` : diff.toFixed(1);
+      const underMinimum = mentor.getMinimumDeficit(this.numWeeksInMonth) > 0
+        ? `, under the ${mentor.getMinimumHours(this.numWeeksInMonth).toFixed(1)}h minimum`
+        : '';
       
-      if (Math.abs(diff) > 5) {
-        this.validationMessages.push(`  ⚠ ${mentor.name}: ${mentor.hoursAssigned.toFixed(1)}h / ${targetMonthly.toFixed(1)}h target (${diffStr}h, ${pct.toFixed(0)}%)`);
+      if (Math.abs(diff) > 5 || underMinimum) {
+        this.validationMessages.push(`  ⚠ ${mentor.name}: ${mentor.hoursAssigned.toFixed(1)}h / ${targetMonthly.toFixed(1)}h target (${diffStr}h, ${pct.toFixed(0)}%${underMinimum})`);
       } else {
         this.validationMessages.push(`  ✓ ${mentor.name}: ${mentor.hoursAssigned.toFixed(1)}h / ${targetMonthly.toFixed(1)}h target (${diffStr}h, ${pct.toFixed(0)}%)`);
       }
     }
     
+    // List soft-date assignments
+    const softDateAssignments = [];
+    for (const day of this.days) {
+      for (const [shiftName, mentor] of Object.entries(day.assignments)) {
+        if (mentor && mentor.isSoftDate(day.dayNumber)) {
+          softDateAssignments.push(`${mentor.name} on ${day.label} (${shiftName})`);
+        }
+      }
+    }
+    
+    if (softDateAssignments.length > 0) {
+      this.validationMessages.push(`\n⚠ ${softDateAssignments.length} shifts assigned on soft dates:`);
+      for (const entry of softDateAssignments) {
+        this.validationMessages.push(`  ${entry}`);
+      }
+    }
+    
     // Count unfilled
     let unfilled = 0;
     for (const day of this.days) {
@@ -627,6 +2145,415 @@ class Schedule {
       this.validationMessages.push(`\n✓ All shifts filled`);
     }
   }
+  
+  /**
+   * Build the list of issues in the final assignment, one finding per problem
+   * Forced assignments the optimizer has since replaced are not reported.
+   * @returns {Array<{severity: string, code: string, day: number|null, shift: string|null, mentor: string|null, message: string}>}
+   */
+  collectFindings() {
+    const findings = [...this.lockViolations];
+    const addFinding = (severity, code, message, { day = null, shift = null, mentor = null } = {}) => {
+      findings.push({ severity, code, day, shift, mentor, message });
+    };
+    
+    for (const day of this.days) {
+      for (const [shiftName, mentor] of Object.entries(day.assignments)) {
+        if (mentor === null) {
+          addFinding('error', 'unfilled_shift', `${day.label} ${shiftName} is unfilled`,
+            { day: day.dayNumber, shift: shiftName });
+        } else if (mentor.isSoftDate(day.dayNumber)) {
+          addFinding('warning', 'soft_date', `${mentor.name} works ${day.label} ${shiftName} on a soft date`,
+            { day: day.dayNumber, shift: shiftName, mentor: mentor.name });
+        }
+      }
+    }
+    
+    for (const forced of this.forcedAssignments) {
+      if (forced.mentor === null) continue;
+      const day = this.days[forced.day - 1];
+      if (day.assignments[forced.shift]?.name !== forced.mentor) continue;
+      for (const violation of forced.violations) {
+        addFinding('warning', violation, `${forced.mentor} was forced onto day ${forced.day} ${forced.shift} past ${violation}`,
+          { day: forced.day, shift: forced.shift, mentor: forced.mentor });
+      }
+    }
+    
+    for (const { mentor, partner, overlaps, times } of this.getPairingShortfalls()) {
+      addFinding('warning', 'pairing_shortfall',
+        `${mentor.name} works with ${partner.name} on ${overlaps} of the ${times} nights required`,
+        { mentor: mentor.name });
+    }
+    
+    if (this.options.rules.loneWorkdayWeight) {
+      for (const mentor of this.mentors) {
+        for (const d of this.getDaysOffBreaks(mentor).loneWorkdays) {
+          addFinding('info', 'lone_workday',
+            `${mentor.name} works ${this.days[d - 1].label} alone between days off, next to a requested day off`,
+            { day: d, mentor: mentor.name });
+        }
+      }
+    }
+    
+    const weeks = this.getDaysByWeek();
+    for (const mentor of this.mentors) {
+      const targetMonthly = mentor.getTargetHours(this.numWeeksInMonth);
+      const diff = mentor.hoursAssigned - targetMonthly;
+      if (Math.abs(diff) > 5) {
+        addFinding('warning', 'hours_off_target',
+          `${mentor.name} has ${mentor.hoursAssigned.toFixed(1)}h against a ${targetMonthly.toFixed(1)}h target (${diff >= 0 ? '+' : ''}${diff.toFixed(1)}h)`,
+          { mentor: mentor.name });
+      }
+      
+      const minimumDeficit = mentor.getMinimumDeficit(this.numWeeksInMonth);
+      if (minimumDeficit > 0) {
+        const minimumTotal = mentor.getMinimumHours(this.numWeeksInMonth);
+        addFinding('warning', 'under_minimum_hours',
+          `${mentor.name} has ${mentor.hoursAssigned.toFixed(1)}h, ${minimumDeficit.toFixed(1)}h under their ${minimumTotal.toFixed(1)}h minimum`,
+          { mentor: mentor.name });
+      }
+      
+      for (const { weekDays, wanted, hits } of this.getPreferredDayCounts(mentor, weeks)) {
+        if (hits < wanted) {
+          addFinding('info', 'preference_miss',
+            `${mentor.name} got ${hits}/${wanted} preferred days in the week starting ${weekDays[0].label}`,
+            { day: weekDays[0].dayNumber, mentor: mentor.name });
+        }
+      }
+    }
+    
+    return findings;
+  }
+  
+  /**
+   * Replay a finished set of assignments on this (ungenerated) schedule and report every rule it breaks
+   * Assignments are applied even when they break a rule, so later checks see the real hours.
+   * @param {Object<number, Object<string, string|null>>} assignments - Mentor name per shift: { dayNumber: { shiftName: name } }
+   * @returns {Array<{severity: string, code: string, day: number|null, shift: string|null, mentor: string|null, message: string}>}
+   */
+  validate(assignments) {
+    const findings = [];
+    const mentorsByName = new Map(this.mentors.map(m => [m.name, m]));
+    // Force fill may break these, so they are warnings; every other hard rule is an error.
+    // no_weekend_off is only reported once per mentor, after the replay.
+    const relaxable = ['no_weekend_off', 'weekly_hours_limit', 'max_consecutive_days'];
+    
+    this.seedAdjacentHours();
+    
+    for (const day of this.days) {
+      for (const [shiftName, mentorName] of Object.entries(assignments[day.dayNumber] || {})) {
+        if (!mentorName || day.shifts[shiftName] === undefined) continue;
+        const where = { day: day.dayNumber, shift: shiftName, mentor: mentorName };
+        
+        const mentor = mentorsByName.get(mentorName);
+        if (!mentor) {
+          findings.push({ severity: 'warning', code: 'unknown_mentor', ...where,
+            message: `${mentorName} on ${day.label} ${shiftName} is not an active mentor` });
+          continue;
+        }
+        
+        const { reason, violations } = this.checkAssignment(mentor, day, shiftName, {
+          allowSoftDates: true, // Reported by collectFindings
+          relaxRules: relaxable,
+        });
+        if (reason) {
+          findings.push({ severity: 'error', code: reason, ...where,
+            message: `${mentorName} on ${day.label} ${shiftName} breaks ${reason}` });
+        }
+        // canWork stops at the first broken rule, so a double booking can hide behind an earlier one
+        if (reason && reason !== 'already_working_today' && mentor.daysWorked.has(day.dayNumber)) {
+          findings.push({ severity: 'error', code: 'already_working_today', ...where,
+            message: `${mentorName} on ${day.label} ${shiftName} breaks already_working_today` });
+        }
+        for (const violation of violations.filter(v => v !== 'no_weekend_off')) {
+          findings.push({ severity: 'warning', code: violation, ...where,
+            message: `${mentorName} on ${day.label} ${shiftName} breaks ${violation}` });
+        }
+        day.assignMentor(shiftName, mentor);
+      }
+    }
+    
+    // Weekends are only known once every day is in, so this soft rule is checked per mentor at the end
+    if (this.options.rules.requireWeekendOff && this.weekends.length > 0) {
+      for (const mentor of this.mentors) {
+        const hasWeekendOff = this.weekends.some(w => !w.some(d => mentor.daysWorked.has(d)));
+        if (!hasWeekendOff) {
+          findings.push({ severity: 'warning', code: 'no_weekend_off', day: null, shift: null, mentor: mentor.name,
+            message: `${mentor.name} has no full weekend off in this schedule` });
+        }
+      }
+    }
+    
+    return [...findings, ...this.collectFindings()];
+  }
+  
+  /**
+   * Rank the mentors who could take over a shift after a call-out, and say why everyone else can't
+   * Call on a schedule whose assignments are already in (see validate), with the shift left empty.
+   * Candidates furthest under their hours target come first. Soft rules don't exclude anyone: working a soft date
+   * puts them last, and losing their last full weekend off puts them after everyone who keeps one.
+   * @param {number} dayNumber 
+   * @param {string} shiftName 
+   * @param {string[]} [calledOut=[]] - Mentors who called out of that day
+   * @returns {{candidates: Array<{mentor: string, hoursAssigned: number, target: number, deficit: number, softDate: boolean, losesWeekendOff: boolean}>, excluded: Array<{mentor: string, reason: string, message: string}>}}
+   */
+  rankReplacements(dayNumber, shiftName, calledOut = []) {
+    const day = this.days.find(d => d.dayNumber === dayNumber);
+    const candidates = [];
+    const excluded = [];
+    
+    for (const mentor of this.mentors) {
+      if (calledOut.includes(mentor.name)) {
+        excluded.push({ mentor: mentor.name, reason: 'called_out', message: 'Called out of this day' });
+        continue;
+      }
+      
+      const { reason, violations } = this.checkAssignment(mentor, day, shiftName, {
+        allowSoftDates: true,
+        relaxRules: ['no_weekend_off'],
+      });
+      if (reason) {
+        excluded.push({ mentor: mentor.name, reason, message: this.describeExclusion(mentor, day, shiftName, reason) });
+        continue;
+      }
+      
+      const target = mentor.getTargetHours(this.numWeeksInMonth);
+      candidates.push({
+        mentor: mentor.name,
+        hoursAssigned: mentor.hoursAssigned,
+        target,
+        deficit: target - mentor.hoursAssigned,
+        softDate: mentor.isSoftDate(dayNumber),
+        losesWeekendOff: violations.includes('no_weekend_off'),
+      });
+    }
+    
+    // Stable sort, so ties keep mentor order
+    candidates.sort((a, b) => a.softDate - b.softDate || a.losesWeekendOff - b.losesWeekendOff || b.deficit - a.deficit);
+    return { candidates, excluded };
+  }
+  
+  /**
+   * Put new mentors on shifts and report each hard rule the result breaks
+   * Call on a schedule whose other assignments are already in (see validate), with these shifts left empty.
+   * Changes are applied in order, so a swap is checked with both of its shifts moved.
+   * @param {Array<{day: number, shift: string, mentor: string}>} changes 
+   * @returns {Array<{day: number, shift: string, mentor: string, reason: string, message: string}>}
+   */
+  checkReassignments(changes) {
+    const problems = [];
+    const mentorsByName = new Map(this.mentors.map(m => [m.name, m]));
+    
+    for (const change of changes) {
+      const day = this.days.find(d => d.dayNumber === change.day);
+      const mentor = mentorsByName.get(change.mentor);
+      if (!day || day.shifts[change.shift] === undefined) {
+        problems.push({ ...change, reason: 'unknown_shift', message: `There is no ${change.shift} on day ${change.day}` });
+        continue;
+      }
+      if (!mentor) {
+        problems.push({ ...change, reason: 'unknown_mentor', message: `${change.mentor} is not an active mentor` });
+        continue;
+      }
+      
+      // Soft rules don't block a change the mentors agreed to
+      const { reason } = this.checkAssignment(mentor, day, change.shift, {
+        allowSoftDates: true,
+        relaxRules: ['no_weekend_off'],
+      });
+      if (reason) {
+        problems.push({ ...change, reason, message: `${mentor.name} on ${day.label} ${change.shift}: ${this.describeExclusion(mentor, day, change.shift, reason)}` });
+      }
+      day.assignMentor(change.shift, mentor);
+    }
+    
+    return problems;
+  }
+  
+  /**
+   * Explain in plain words why a mentor can't take a shift
+   * @param {Mentor} mentor 
+   * @param {Day} day 
+   * @param {string} shiftName 
+   * @param {string} reason - Reason code from checkAssignment
+   * @returns {string}
+   */
+  describeExclusion(mentor, day, shiftName, reason) {
+    const hours = day.shifts[shiftName];
+    const weekHours = (mentor.hoursPerWeek[day.weekKey] || 0) + hours;
+    
+    switch (reason) {
+      case 'not_employed':
+        return 'Not employed on this date';
+      case 'requested_off':
+        return 'Has the day off on the calendar';
+      case 'partial_availability':
+        return 'Only available for part of the day, and this shift does not fit';
+      case 'unavailable_weekday':
+        return `Does not work ${day.weekdayName}s`;
+      case 'missing_qualification':
+        return `Missing ${mentor.getMissingQualifications(this.options.shiftQualifications[shiftName]).join(', ')}`;
+      case 'already_working_today': {
+        const shift = Object.keys(day.assignments).find(s => day.assignments[s] === mentor);
+        return shift ? `Already working ${shift} that day` : 'Already working that day';
+      }
+      case 'pay_period_limit':
+        return `Would reach ${(mentor.hoursPerPayPeriod[day.payPeriodKey] || 0) + hours}h this pay period (cap ${mentor.payPeriodHourCap}h)`;
+      case 'shift_type_cap':
+        return `Already has ${mentor.getShiftTypeCount(day.monthKey, getShiftType(shiftName))} ${getShiftType(shiftName)}s this month (their cap is ${mentor.shiftCaps[getShiftType(shiftName)]})`;
+      case 'mentor_max_hours':
+        return `Would reach ${weekHours}h this week (their maximum is ${mentor.personalMaxHoursPerWeek}h)`;
+      case 'weekly_hours_limit':
+        return `Would reach ${weekHours}h this week (campus cap ${mentor.maxHoursPerWeek}h)`;
+      case 'max_consecutive_days':
+        return `Would work ${mentor.getConsecutiveRun(day.dayNumber)} days in a row (limit ${mentor.maxConsecutiveDays})`;
+      case 'never_together':
+        return `Kept apart from ${day.getMentors().filter(other => mentor.neverWith.has(other.name)).map(other => other.name).join(', ')}, who works that day`;
+      case 'no_weekend_off':
+        return 'Would lose their last full weekend off';
+      default:
+        return reason;
+    }
+  }
+}
+
+/**
+ * Re-check a schedule (generated, edited by hand or loaded from savedSchedules) against every hard and soft rule
+ * @param {number} year 
+ * @param {number} month - 1-indexed
+ * @param {Array<{dayNumber: number, shifts: Object<string, number>, assignments: Object<string, string|null>}>} days 
+ * @param {Object} mentorInfoData 
+ * @param {Object} holidays 
+ * @param {Object} [options] - Same as the Schedule options (adjacentShifts, payPeriodPolicy, rules, shiftQualifications)
+ * @returns {Array<{severity: string, code: string, day: number|null, shift: string|null, mentor: string|null, message: string}>}
+ */
+function validateSchedule(year, month, days, mentorInfoData, holidays, options = {}) {
+  const { schedule, assignments } = buildReplaySchedule(year, month, days, mentorInfoData, holidays, options);
+  return schedule.validate(assignments);
+}
+
+/**
+ * Find who could cover a shift when its mentor calls out
+ * The shift is emptied and the rest of the schedule replayed, so hours and caps reflect everything else.
+ * @param {number} year 
+ * @param {number} month - 1-indexed
+ * @param {Array<{dayNumber: number, shifts: Object<string, number>, assignments: Object<string, string|null>}>} days 
+ * @param {Object} mentorInfoData 
+ * @param {Object} holidays 
+ * @param {Object} options - Same as validateSchedule
+ * @param {number} dayNumber 
+ * @param {string} shiftName 
+ * @param {string[]} [calledOut=[]] - Mentors who called out of that day, including the shift's own mentor
+ * @returns {{candidates: Array<Object>, excluded: Array<{mentor: string, reason: string, message: string}>}} See Schedule.rankReplacements
+ */
+function findReplacements(year, month, days, mentorInfoData, holidays, options, dayNumber, shiftName, calledOut = []) {
+  const { schedule, assignments } = buildReplaySchedule(year, month, days, mentorInfoData, holidays, options);
+  assignments[dayNumber] = { ...assignments[dayNumber], [shiftName]: null };
+  schedule.validate(assignments);
+  return schedule.rankReplacements(dayNumber, shiftName, calledOut);
+}
+
+/**
+ * Check hand-made changes to a schedule (e.g. an agreed shift swap) against the hard rules
+ * The changed shifts are emptied and the rest of the schedule replayed before the changes are put in.
+ * @param {number} year 
+ * @param {number} month - 1-indexed
+ * @param {Array<{dayNumber: number, shifts: Object<string, number>, assignments: Object<string, string|null>}>} days 
+ * @param {Object} mentorInfoData 
+ * @param {Object} holidays 
+ * @param {Object} options - Same as validateSchedule
+ * @param {Array<{day: number, shift: string, mentor: string}>} changes - New mentor per shift
+ * @returns {Array<{day: number, shift: string, mentor: string, reason: string, message: string}>} Empty when every change is allowed
+ */
+function checkReassignments(year, month, days, mentorInfoData, holidays, options, changes) {
+  const { schedule, assignments } = buildReplaySchedule(year, month, days, mentorInfoData, holidays, options);
+  for (const { day, shift } of changes) {
+    assignments[day] = { ...assignments[day], [shift]: null };
+  }
+  schedule.validate(assignments);
+  return schedule.checkReassignments(changes);
+}
+
+/**
+ * Score a schedule (generated, edited by hand or loaded from savedSchedules) against the soft goals
+ * @param {number} year 
+ * @param {number} month - 1-indexed
+ * @param {Array<{dayNumber: number, shifts: Object<string, number>, assignments: Object<string, string|null>}>} days 
+ * @param {Object} mentorInfoData 
+ * @param {Object} holidays 
+ * @param {Object} [options] - Same as validateSchedule
+ * @returns {Object} See Schedule.summarizeScore
+ */
+function scoreScheduleDays(year, month, days, mentorInfoData, holidays, options = {}) {
+  const { schedule, assignments } = buildReplaySchedule(year, month, days, mentorInfoData, holidays, options);
+  schedule.validate(assignments);
+  return schedule.summarizeScore();
+}
+
+/**
+ * Each mentor's hours target and minimum for a schedule, pro-rated by the days they are available
+ * @param {number} year 
+ * @param {number} month - 1-indexed
+ * @param {Object} mentorInfoData 
+ * @param {Object} holidays 
+ * @param {Object} [options] - Same as the Schedule options (only range matters)
+ * @returns {Object<string, {target: number, minimum: number|null, availableShare: number}>} By mentor name
+ */
+function getMentorTargets(year, month, mentorInfoData, holidays, options = {}) {
+  const schedule = new Schedule(year, month, 15, null, mentorInfoData, holidays, {
+    ...options,
+    seed: null,
+    dayShifts: {},
+    generate: false,
+  });
+  return Object.fromEntries(schedule.mentors.map(mentor => [mentor.name, {
+    target: mentor.getTargetHours(schedule.numWeeksInMonth),
+    minimum: mentor.getMinimumHours(schedule.numWeeksInMonth),
+    availableShare: mentor.availableShare,
+  }]));
+}
+
+/**
+ * Build an ungenerated schedule with the given days, ready to replay their assignments
+ * @returns {{schedule: Schedule, assignments: Object<number, Object<string, string|null>>}}
+ */
+function buildReplaySchedule(year, month, days, mentorInfoData, holidays, options) {
+  const dayShifts = {};
+  const assignments = {};
+  for (const day of days) {
+    dayShifts[day.dayNumber] = day.shifts;
+    assignments[day.dayNumber] = day.assignments;
+  }
+  
+  const schedule = new Schedule(year, month, 15, null, mentorInfoData, holidays, {
+    ...options,
+    seed: null,
+    dayShifts,
+    generate: false,
+  });
+  return { schedule, assignments };
 }
 
-export { Schedule, Day, Mentor, getPayPeriodNumber, getWeekKey };
+export {
+  Schedule,
+  validateSchedule,
+  scoreScheduleDays,
+  findReplacements,
+  checkReassignments,
+  getMentorTargets,
+  Day,
+  Mentor,
+  getPayPeriod,
+  getOvertimeCap,
+  getWeekKey,
+  formatDateKey,
+  parseDateKey,
+  FINDING_SEVERITIES,
+  SCORE_WEIGHTS,
+  MAX_TIME_BUDGET_MS,
+  DEFAULT_SCHEDULING_RULES,
+  SATURDAY_ROTATION_SHIFTS,
+  getShiftType,
+  DEFAULT_PAY_PERIOD_POLICY,
+  DEFAULT_OVERTIME_CAPS,
+};
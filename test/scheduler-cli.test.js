@@ -0,0 +1,50 @@
+// Run with: node --test
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'node:child_process';
+import { mkdtempSync, readFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const CLI = fileURLToPath(new URL('../scheduler-cli.js', import.meta.url));
+const EXAMPLE = fileURLToPath(new URL('../examples/schedule-input.json', import.meta.url));
+
+test('the CLI schedules the example input as JSON', () => {
+  const result = JSON.parse(execFileSync(process.execPath, [CLI, EXAMPLE], { encoding: 'utf8' }));
+
+  assert.equal(result.start, '2026-01-01');
+  assert.equal(result.end, '2026-01-31');
+  assert.equal(result.days.length, 31);
+  assert.ok(result.mentors.length > 0);
+  const unfilled = new Set(result.findings.filter(f => f.code === 'unfilled_shift').map(f => `${f.day}:${f.shift}`));
+  for (const day of result.days) {
+    for (const [shiftName, { mentor }] of Object.entries(day.shifts)) {
+      assert.ok(mentor !== null || unfilled.has(`${day.dayNumber}:${shiftName}`), `${day.date} ${shiftName} is empty and unreported`);
+    }
+  }
+});
+
+test('the CLI writes the example schedule as three CSV files', () => {
+  const dir = mkdtempSync(join(tmpdir(), 'scheduler-cli-'));
+  try {
+    const out = join(dir, 'jan');
+    execFileSync(process.execPath, [CLI, EXAMPLE, '--format', 'csv', '--out', out]);
+
+    const schedule = readFileSync(`${out}-schedule.csv`, 'utf8').trim().split('\n');
+    assert.equal(schedule[0], 'date,weekday,season,shift,hours,mentor');
+    assert.ok(schedule.length > 31);
+    assert.equal(readFileSync(`${out}-findings.csv`, 'utf8').split('\n')[0], 'severity,code,day,shift,mentor,message');
+    assert.equal(readFileSync(`${out}-mentors.csv`, 'utf8').split('\n')[0],
+      'mentor,hours,target,percent_of_target,shifts,saturdays,hours_per_pay_period');
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('the CLI rejects a missing input file with the usage line', () => {
+  assert.throws(
+    () => execFileSync(process.execPath, [CLI], { stdio: 'pipe' }),
+    (error) => error.status === 2 && error.stderr.toString().includes('Usage:')
+  );
+});
@@ -0,0 +1,112 @@
+// Run with: node --test
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { Schedule, validateSchedule, findReplacements, MAX_TIME_BUDGET_MS } from '../scheduler.js';
+
+const HOLIDAYS = { dates: [], shift_info: {} };
+
+/**
+ * A mentor with no days off and no preferences
+ * @param {Object} [overrides]
+ * @returns {Object}
+ */
+function mentorInfo(overrides = {}) {
+  return { weekdays: [], preferred_weekdays: [], hard_dates: [], soft_dates: [], hours_wanted: 10, show_on_calendar: true, ...overrides };
+}
+
+/**
+ * Days of a generated schedule in the form validateSchedule replays
+ * @param {Schedule} schedule
+ * @returns {Array<Object>}
+ */
+function toDays(schedule) {
+  return schedule.days.map(day => ({
+    dayNumber: day.dayNumber,
+    shifts: day.shifts,
+    assignments: Object.fromEntries(
+      Object.entries(day.assignments).map(([shiftName, mentor]) => [shiftName, mentor ? mentor.name : null])
+    ),
+  }));
+}
+
+test('a force-filled schedule replays without errors', () => {
+  // One short shift a night and a single mentor, so force fill has to take their last weekend off
+  const dayShifts = {};
+  for (let dayNumber = 1; dayNumber <= 28; dayNumber++) dayShifts[dayNumber] = { c_shift: 2 };
+  const mentors = { Solo: mentorInfo() };
+  const options = { seed: null, dayShifts, rules: { requireWeekendOff: true } };
+
+  const schedule = new Schedule(2026, 2, 15, {}, structuredClone(mentors), HOLIDAYS, options);
+  assert.ok(schedule.forcedAssignments.some(a => a.mentor === 'Solo'), 'expected force fill to be used');
+
+  const findings = validateSchedule(2026, 2, toDays(schedule), structuredClone(mentors), HOLIDAYS, options);
+  assert.deepEqual(findings.filter(f => f.severity === 'error'), []);
+  assert.deepEqual(
+    findings.filter(f => f.code === 'no_weekend_off').map(f => ({ severity: f.severity, day: f.day })),
+    [{ severity: 'warning', day: null }]
+  );
+});
+
+test('a call-out cover who would lose their last weekend off is flagged, not excluded', () => {
+  // Solo works every night but the weekend of the 21st, which is the only one left for the call-out on the 21st
+  const days = [];
+  for (let dayNumber = 1; dayNumber <= 28; dayNumber++) {
+    const off = dayNumber === 21 || dayNumber === 22;
+    days.push({ dayNumber, shifts: { c_shift: 2 }, assignments: { c_shift: off ? null : 'Solo' } });
+  }
+  const mentors = { Solo: mentorInfo() };
+  const options = { rules: { requireWeekendOff: true } };
+
+  const { candidates, excluded } = findReplacements(2026, 2, days, mentors, HOLIDAYS, options, 21, 'c_shift', []);
+  assert.deepEqual(excluded, []);
+  assert.deepEqual(candidates.map(c => [c.mentor, c.losesWeekendOff]), [['Solo', true]]);
+});
+
+test('the optimizer time budget is capped and generateScheduleAsync lets timers run while it optimizes', async () => {
+  const dayShifts = {};
+  for (let dayNumber = 1; dayNumber <= 28; dayNumber++) dayShifts[dayNumber] = { a_shift: 8 };
+  const mentors = { Ann: mentorInfo(), Ben: mentorInfo(), Cal: mentorInfo() };
+  const options = { solver: 'optimized', timeBudgetMs: 10 * 60 * 1000, seed: 1, dayShifts, generate: false };
+
+  const schedule = new Schedule(2026, 2, 15, {}, mentors, HOLIDAYS, options);
+  assert.equal(schedule.options.timeBudgetMs, MAX_TIME_BUDGET_MS);
+
+  schedule.options.timeBudgetMs = 200;
+  let ticks = 0;
+  const timer = setInterval(() => ticks++, 1);
+  await schedule.generateScheduleAsync();
+  clearInterval(timer);
+  assert.ok(ticks > 0, 'expected the optimizer to pause between chunks');
+  assert.ok(schedule.validationMessages.some(m => m.startsWith('Tried ')), 'expected the optimizer to run');
+  assert.deepEqual(schedule.findings.filter(f => f.code === 'unfilled_shift'), []);
+});
+
+test('a 60-mentor, 90-day range generates well under a second with every slot filled or reported', () => {
+  const { seasonalShiftInfo } = JSON.parse(readFileSync(new URL('../examples/schedule-input.json', import.meta.url), 'utf8'));
+  const weekdays = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+  const mentors = {};
+  for (let i = 0; i < 60; i++) {
+    mentors[`Mentor ${i + 1}`] = mentorInfo({
+      weekdays: [weekdays[i % 7]],
+      preferred_weekdays: [weekdays[(i + 3) % 7]],
+      hours_wanted: 10 + (i % 4) * 5,
+    });
+  }
+  const options = { seed: 7, range: { start: '2026-01-05', end: '2026-04-04' } };
+
+  const started = performance.now();
+  const schedule = new Schedule(2026, 1, 15, seasonalShiftInfo, mentors, HOLIDAYS, options);
+  const elapsed = performance.now() - started;
+
+  assert.equal(schedule.days.length, 90);
+  // Plenty of mentors, so the equal-distribution fill should cover every shift without force fill
+  assert.deepEqual(schedule.forcedAssignments, []);
+  const unfilled = new Set(schedule.findings.filter(f => f.code === 'unfilled_shift').map(f => `${f.day}:${f.shift}`));
+  for (const day of schedule.days) {
+    for (const [shiftName, mentor] of Object.entries(day.assignments)) {
+      assert.ok(mentor !== null || unfilled.has(`${day.dayNumber}:${shiftName}`), `day ${day.dayNumber} ${shiftName} is empty and unreported`);
+    }
+  }
+  assert.ok(elapsed < 1000, `took ${elapsed.toFixed(0)}ms`);
+});
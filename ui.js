@@ -14,7 +14,7 @@ export function showToast(message, duration = 2000) {
 
 export function updateDayStyles() {
   document.querySelectorAll(".day").forEach((dayDiv) => {
-    const selects = dayDiv.querySelectorAll("select");
+    const selects = dayDiv.querySelectorAll(".slot-select");
     let selectedCount = 0;
 
     selects.forEach((select) => {
@@ -31,5 +31,23 @@ export function updateDayStyles() {
     } else {
       dayDiv.classList.remove("day-complete");
     }
+
+    // Partial days off are marked separately from full ones
+    if (dayDiv.querySelector(".partial-entry")) {
+      dayDiv.classList.add("day-partial");
+    } else {
+      dayDiv.classList.remove("day-partial");
+    }
   });
 }
+
+// Shift times are written without AM/PM ("8:00" is 8 PM), so format "20:00" the same way
+export function formatShiftTime(time) {
+  const [hours, minutes] = time.split(":").map(Number);
+  return `${((hours + 11) % 12) + 1}:${String(minutes).padStart(2, "0")}`;
+}
+
+export function describePartialAvailability(limit) {
+  if (limit.short_only) return "short shifts only";
+  return `unavailable after ${formatShiftTime(limit.until)}`;
+}